@@ -4,258 +4,584 @@
  * @description Catalogue personnalisé - Asie, Classiques, Thrillers, Policiers
  */
 
-const { addonBuilder, serveHTTP } = require('stremio-addon-sdk');
+const path = require('path');
+const express = require('express');
+const { addonBuilder, getRouter } = require('stremio-addon-sdk');
 const TMDBClient = require('./lib/tmdb');
+const { createStore } = require('./lib/cache');
+const { TMDBAuthError, TMDBNotFoundError } = require('./lib/errors');
+const { parseConfig, LANGUAGES } = require('./lib/config');
+const { renderConfigurePage } = require('./lib/configure');
+const { paginate, MAX_SCREENED_PAGES } = require('./lib/paging');
+const { loadCatalogs, createFetcher, catalogName, sortOptions, genreOptions } = require('./lib/catalogs');
+const { applyArtwork } = require('./lib/artwork');
+const { addAvailability } = require('./lib/availability');
+const { createContentFilter } = require('./lib/content');
+const { isInSeason, lastSeasonChange, nextSeasonChange } = require('./lib/seasons');
+const metrics = require('./lib/metrics');
+const { createLogger, configureLogger, requestContext, isJsonFormat } = require('./lib/logger');
+const { FixtureStore } = require('./lib/fixtures');
 
 // Configuration
 const PORT = process.env.PORT || 7001;
 const ADDON_URL = process.env.ADDON_URL || `http://localhost:${PORT}`;
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
+const TMDB_BASE_URL = process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3';
+const TMDB_FIXTURES = process.env.TMDB_FIXTURES || null;
+const TMDB_FIXTURES_DIR = process.env.TMDB_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+const CACHE_BACKEND = process.env.CACHE_BACKEND || 'file';
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'data');
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 2000;
+const CACHE_MAX_TITLES = parseInt(process.env.CACHE_MAX_TITLES) || 10000;
+const TMDB_RATE_LIMIT = parseInt(process.env.TMDB_RATE_LIMIT) || 40;
+const CATALOGS_FILE = process.env.CATALOGS_FILE || path.join(__dirname, 'catalogs.yaml');
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || 'text';
 
-if (!TMDB_API_KEY) {
-    console.error('[CataloogBP] ERREUR: TMDB_API_KEY non définie!');
+try {
+    configureLogger({ level: LOG_LEVEL, format: LOG_FORMAT, secrets: [TMDB_API_KEY] });
+} catch (error) {
+    console.error(`[CataloogBP] ERREUR: ${error.message}`);
     process.exit(1);
 }
 
-// Client TMDB
-const tmdb = new TMDBClient(TMDB_API_KEY, 'fr-FR');
+const log = createLogger('CataloogBP');
 
-// ==================== DÉFINITION DES CATALOGUES ====================
+// En rejeu, aucune requête ne part vers TMDB : la clé est facultative
+if (!TMDB_API_KEY && TMDB_FIXTURES !== 'replay') {
+    log.error('ERREUR: TMDB_API_KEY non définie!');
+    process.exit(1);
+}
 
-const CATALOGS = {
-    // ========== ASIE ==========
-    'kdrama': {
-        name: '🇰🇷 K-Drama',
-        type: 'series',
-        fetch: (page) => tmdb.getKDramas(page)
-    },
-    'korean-romance': {
-        name: '💕 Romance Coréenne',
-        type: 'series',
-        fetch: (page) => tmdb.getKoreanRomance(page)
-    },
-    'korean-movies': {
-        name: '🇰🇷 Cinéma Coréen',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByCountry('KR', page)
-    },
-    'jdrama': {
-        name: '🇯🇵 J-Drama',
-        type: 'series',
-        fetch: (page) => tmdb.getJDrama(page)
-    },
-    'japanese-movies': {
-        name: '🇯🇵 Cinéma Japonais',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByCountry('JP', page)
-    },
-    'asian-drama': {
-        name: '🌏 Drama Asiatique',
-        type: 'series',
-        fetch: (page) => tmdb.getAsianDrama(page)
-    },
-    'chinese-movies': {
-        name: '🇨🇳 Cinéma Chinois',
-        type: 'movie',
-        fetch: (page) => tmdb.getChineseMovies(page)
-    },
-
-    // ========== THRILLER & POLICIER ==========
-    'thriller-movies': {
-        name: '🔪 Thriller',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByGenre(53, page)
-    },
-    'thriller-series': {
-        name: '🔪 Thriller',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByGenre(80, page) // Crime pour séries
-    },
-    'crime-movies': {
-        name: '🔍 Policier',
-        type: 'movie',
-        fetch: (page) => tmdb.getCrimeMovies(page)
-    },
-    'crime-series': {
-        name: '🔍 Policier',
-        type: 'series',
-        fetch: (page) => tmdb.getCrimeSeries(page)
-    },
-
-    // ========== CLASSIQUES ==========
-    'classic-movies': {
-        name: '🎬 Films Classiques',
-        type: 'movie',
-        fetch: (page) => tmdb.getClassicMovies(page)
-    },
-    'classic-series': {
-        name: '📺 Séries Classiques',
-        type: 'series',
-        fetch: (page) => tmdb.getClassicSeries(page)
-    },
-    'miniseries': {
-        name: '📺 Mini-séries',
-        type: 'series',
-        fetch: (page) => tmdb.getMiniSeries(page)
-    },
-
-    // ========== ROMANCE & DRAME ==========
-    'romance-movies': {
-        name: '💕 Romance',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByGenre(10749, page)
-    },
-    'drama-movies': {
-        name: '📖 Drame',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByGenre(18, page)
-    },
-    'drama-series': {
-        name: '📖 Drame',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByGenre(18, page)
-    },
-
-    // ========== TOP ==========
-    'top-movies': {
-        name: '🏆 Top Films',
-        type: 'movie',
-        fetch: (page) => tmdb.getTopRatedMovies(page)
-    },
-    'top-series': {
-        name: '🏆 Top Séries',
-        type: 'series',
-        fetch: (page) => tmdb.getTopRatedSeries(page)
-    },
-
-    // ========== PLATEFORMES ==========
-    'netflix-movies': {
-        name: '🔴 Netflix',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByProvider(8, page)
-    },
-    'netflix-series': {
-        name: '🔴 Netflix',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByProvider(8, page)
-    },
-    'prime-movies': {
-        name: '📦 Prime Video',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByProvider(119, page)
-    },
-    'prime-series': {
-        name: '📦 Prime Video',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByProvider(119, page)
-    },
-    'disney-movies': {
-        name: '🏰 Disney+',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByProvider(337, page)
-    },
-    'disney-series': {
-        name: '🏰 Disney+',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByProvider(337, page)
-    },
-    'canal-movies': {
-        name: '➕ Canal+',
-        type: 'movie',
-        fetch: (page) => tmdb.getMoviesByProvider(381, page)
-    },
-    'canal-series': {
-        name: '➕ Canal+',
-        type: 'series',
-        fetch: (page) => tmdb.getSeriesByProvider(381, page)
+// Enregistrement ou rejeu des réponses TMDB (voir lib/fixtures.js)
+let fixtures = null;
+if (TMDB_FIXTURES) {
+    try {
+        fixtures = new FixtureStore({ dir: TMDB_FIXTURES_DIR, mode: TMDB_FIXTURES });
+    } catch (error) {
+        log.error(`ERREUR: ${error.message}`);
+        process.exit(1);
     }
+}
+
+// Cache : réponses TMDB (LRU borné), données par titre (LRU séparé) et correspondances d'IDs (permanentes)
+const cacheStores = {
+    cache: createStore(CACHE_BACKEND, {
+        file: path.join(CACHE_DIR, 'cache.json'),
+        maxEntries: CACHE_MAX_ENTRIES
+    }),
+    titleStore: createStore(CACHE_BACKEND, {
+        file: path.join(CACHE_DIR, 'titles.json'),
+        maxEntries: CACHE_MAX_TITLES
+    }),
+    idStore: createStore(CACHE_BACKEND, {
+        file: path.join(CACHE_DIR, 'ids.json'),
+        maxEntries: Infinity
+    })
 };
 
+metrics.gauge({
+    name: 'cataloog_cache_entries',
+    help: "Entrées stockées par cache (cache = réponses TMDB, titleStore = données par titre, idStore = correspondances d'IDs)",
+    labels: ['store'],
+    collect: gauge => Object.entries(cacheStores).forEach(([store, { size }]) => gauge.set({ store }, size))
+});
+
+// Client TMDB (langue et région par défaut, voir localeClient/clientFor pour celles de l'installation)
+const tmdb = new TMDBClient(TMDB_API_KEY || 'replay', 'fr-FR', {
+    ...cacheStores,
+    rateLimit: TMDB_RATE_LIMIT,
+    region: 'FR',
+    baseUrl: TMDB_BASE_URL,
+    fixtures
+});
+
+/**
+ * Client TMDB dans la langue et la région d'une installation
+ *
+ * @param {{language: string, region: string}} config - Config normalisée
+ * @returns {TMDBClient}
+ */
+function localeClient(config) {
+    return tmdb.withLocale(LANGUAGES[config.language].tmdb, config.region);
+}
+
+/**
+ * Client TMDB des catalogues d'une installation (langue, région et filtre de contenu)
+ *
+ * Les fiches et les genres ne sont pas filtrés : ils passent par localeClient
+ * pour rester en cache commun.
+ *
+ * @param {Object} config - Config normalisée
+ * @returns {TMDBClient}
+ */
+function clientFor(config) {
+    return localeClient(config).withContentFilter(createContentFilter(config));
+}
+
+// ==================== DÉFINITION DES CATALOGUES ====================
+
+// Catalogues décrits dans CATALOGS_FILE (voir l'en-tête de catalogs.yaml)
+let definitions;
+try {
+    definitions = loadCatalogs(CATALOGS_FILE);
+} catch (error) {
+    log.error(`ERREUR: ${error.message}`);
+    process.exit(1);
+}
+
+const CATALOGS = Object.fromEntries(definitions.map(catalog => [
+    catalog.id,
+    { ...catalog, fetch: createFetcher(catalog) }
+]));
+
+const CATALOG_IDS = Object.keys(CATALOGS);
+
+// Catalogues activés sans config (enabled: false dans le fichier : sur demande)
+const DEFAULT_CATALOG_IDS = CATALOG_IDS.filter(id => CATALOGS[id].byDefault);
+
+// Fenêtres des catalogues saisonniers
+const SEASONS = definitions.filter(catalog => catalog.season).map(catalog => catalog.season);
+
+/**
+ * Indique si un catalogue est proposé à une installation à cette date
+ *
+ * Toujours, sauf hors saison et pour les catalogues qui dépendent de la config
+ * (ex: "Mes plateformes" sans plateforme choisie, recommandations sans favori).
+ *
+ * @param {Object} catalog - Définition normalisée
+ * @param {Date} date - Date de référence
+ * @param {Object} config - Config normalisée
+ * @returns {boolean}
+ */
+function isAvailable(catalog, date, config) {
+    return catalog.enabledFor(config) && (!catalog.season || isInSeason(catalog.season, date));
+}
+
 // ==================== MANIFEST ====================
 
-const manifest = {
+// Durée de cache maximale du manifest (raccourcie avant l'ouverture ou la fermeture d'une saison)
+const MANIFEST_MAX_AGE = 6 * 60 * 60;
+
+// Taille maximale d'un manifest (octets du JSON), celle qu'impose le SDK
+const MANIFEST_MAX_SIZE = 8192;
+
+const BASE_MANIFEST = {
     id: 'community.stremio.cataloog-bp',
     version: '1.0.0',
     name: 'Cataloog BP',
     description: 'Catalogue personnalisé - Asie, Classiques, Thrillers, Policiers',
     logo: 'https://www.themoviedb.org/assets/2/v4/logos/v2/blue_square_2-d537fb228cf3edd904ef09b136fe3fec72548ebc1fea3fbbd1ad9e36364db38b.svg',
     background: 'https://image.tmdb.org/t/p/original/56v2KjBlU4XaOv9rVYEQypROD7P.jpg',
-    resources: ['catalog'],
+    resources: [
+        'catalog',
+        { name: 'meta', types: ['movie', 'series'], idPrefixes: ['tt'] }
+    ],
     types: ['movie', 'series'],
     idPrefixes: ['tt'],
-    catalogs: Object.entries(CATALOGS).map(([id, catalog]) => ({
-        type: catalog.type,
-        id: `cataloog-bp-${id}`,
-        name: catalog.name,
-        extra: [{ name: 'skip', isRequired: false }]
-    }))
+    behaviorHints: { configurable: true },
+    // Active le préfixe /:config? du routeur SDK ; la config complète (JSON) est éditée
+    // par la page /configure de l'addon, une seule entrée suffit
+    config: [
+        { key: 'catalogs', type: 'text', title: 'Catalogues' }
+    ]
 };
 
+/**
+ * Version du manifest à une date
+ *
+ * Le numéro de patch est la date (AAAAMMJJ) de la dernière ouverture ou fermeture
+ * d'une saison : Stremio voit une nouvelle version et recharge la liste des catalogues.
+ *
+ * @param {Date} date - Date de référence
+ * @returns {string}
+ */
+function manifestVersion(date = new Date()) {
+    const change = lastSeasonChange(SEASONS, date);
+    if (!change) return BASE_MANIFEST.version;
+
+    const stamp = change.getFullYear() * 10000 + (change.getMonth() + 1) * 100 + change.getDate();
+    return BASE_MANIFEST.version.replace(/\d+$/, String(stamp));
+}
+
+/**
+ * Durée de cache du manifest à une date (jusqu'au prochain changement de saison)
+ *
+ * @param {Date} date - Date de référence
+ * @returns {number} Secondes
+ */
+function manifestMaxAge(date = new Date()) {
+    const change = nextSeasonChange(SEASONS, date);
+    if (!change) return MANIFEST_MAX_AGE;
+
+    return Math.max(60, Math.min(MANIFEST_MAX_AGE, Math.ceil((change - date) / 1000)));
+}
+
+/**
+ * Construit le manifest d'une installation
+ *
+ * Les catalogues saisonniers n'y figurent que pendant leur fenêtre.
+ * Les catalogues discover proposent un tri (popularité, note, récents, anciens).
+ *
+ * Le manifest reste sous MANIFEST_MAX_SIZE : peu de catalogues ont un sélecteur de genre
+ * (genres utiles seulement, voir genreOptions) et certains ne sont activés que sur demande
+ * (enabled: false dans catalogs.yaml). Si une config active trop de catalogues, les
+ * derniers perdent leur tri jusqu'à repasser sous la limite.
+ *
+ * @param {{catalogs: string[], names: Object, language: string}} config - Config normalisée
+ * @param {{movie: Object[], series: Object[]}} genres - Genres TMDB { id, name } (langue de la config)
+ * @param {Date} date - Date de référence
+ * @returns {Object} Manifest Stremio
+ */
+function buildManifest(config, genres = { movie: [], series: [] }, date = new Date()) {
+    const result = {
+        ...BASE_MANIFEST,
+        version: manifestVersion(date),
+        catalogs: config.catalogs.filter(id => isAvailable(CATALOGS[id], date, config)).map(id => {
+            const catalog = CATALOGS[id];
+            // isRequired vaut false par défaut : omis pour alléger le manifest
+            const extra = [...catalog.extra, { name: 'skip' }];
+
+            // Sélecteur de genre : options propres à l'endpoint (tendances) ou genres TMDB
+            const options = catalog.options
+                ? catalog.options(config.language)
+                : genreOptions(catalog, genres[catalog.type]);
+            if (options.length) {
+                extra.push({ name: 'genre', options });
+            }
+
+            const sorts = sortOptions(catalog, config.language);
+            if (sorts.length) {
+                extra.push({ name: 'sort', options: sorts });
+            }
+
+            return {
+                type: catalog.type,
+                id: `cataloog-bp-${id}`,
+                name: config.names[id] || catalogName(catalog, config.language),
+                extra
+            };
+        })
+    };
+
+    let trimmed = 0;
+    for (let i = result.catalogs.length - 1; i >= 0 && Buffer.byteLength(JSON.stringify(result)) > MANIFEST_MAX_SIZE; i--) {
+        const extra = result.catalogs[i].extra.filter(e => e.name !== 'sort');
+        if (extra.length < result.catalogs[i].extra.length) {
+            result.catalogs[i].extra = extra;
+            trimmed++;
+        }
+    }
+    if (trimmed) {
+        log.warn(`Manifest trop lourd pour ${result.catalogs.length} catalogues : tri retiré de ${trimmed} catalogues`);
+    }
+
+    return result;
+}
+
+/**
+ * Genres TMDB du filtre de genre (noms dans la langue du client)
+ *
+ * Sans réponse TMDB, le manifest est servi sans filtre de genre.
+ *
+ * @param {TMDBClient} client - Client TMDB de l'installation
+ * @returns {Promise<{movie: Object[], series: Object[]}>} Genres { id, name } par type
+ */
+async function loadGenres(client) {
+    try {
+        const [movie, series] = await Promise.all([client.getGenres('movie'), client.getGenres('series')]);
+        return { movie, series };
+    } catch (error) {
+        log.warn(`Genres TMDB indisponibles: ${error.message}`);
+        return { movie: [], series: [] };
+    }
+}
+
+const manifest = buildManifest(parseConfig(null, CATALOG_IDS, DEFAULT_CATALOG_IDS));
+
 // ==================== ADDON ====================
 
+// Indications de cache HTTP pour Stremio (en secondes)
+const CACHE_HINTS = {
+    catalog: { cacheMaxAge: 30 * 60, staleRevalidate: 4 * 60 * 60, staleError: 7 * 24 * 60 * 60 },
+    meta: { cacheMaxAge: 6 * 60 * 60, staleRevalidate: 24 * 60 * 60, staleError: 7 * 24 * 60 * 60 },
+    // Réponse vide suite à une erreur : ne pas la garder longtemps
+    error: { cacheMaxAge: 60 }
+};
+
+const catalogRequests = metrics.counter({
+    name: 'cataloog_catalog_requests_total',
+    help: 'Requêtes de catalogue par catalogue',
+    labels: ['catalog']
+});
+const catalogEmpty = metrics.counter({
+    name: 'cataloog_catalog_empty_total',
+    help: 'Réponses de catalogue sans résultat (hors erreurs) par catalogue',
+    labels: ['catalog']
+});
+const catalogErrors = metrics.counter({
+    name: 'cataloog_catalog_errors_total',
+    help: 'Réponses de catalogue en erreur par catalogue',
+    labels: ['catalog']
+});
+
+// Le SDK valide le manifest d'une installation sans config (taille comprise)
 const builder = new addonBuilder(manifest);
 
 /**
  * Handler pour les catalogues
  */
-builder.defineCatalogHandler(async ({ type, id, extra }) => {
-    console.log(`[CataloogBP] Catalogue demandé: ${id} (type: ${type})`);
+builder.defineCatalogHandler(async ({ type, id, extra, config }) => {
+    log.info(`Catalogue demandé: ${id} (type: ${type})`);
 
     const catalogId = id.replace('cataloog-bp-', '');
     const catalog = CATALOGS[catalogId];
+    const userConfig = parseConfig(config, CATALOG_IDS, DEFAULT_CATALOG_IDS);
 
     if (!catalog) {
-        console.log(`[CataloogBP] Catalogue inconnu: ${catalogId}`);
+        log.warn(`Catalogue inconnu: ${catalogId}`);
+        return { metas: [] };
+    }
+
+    catalogRequests.inc({ catalog: catalogId });
+
+    if (!userConfig.catalogs.includes(catalogId)) {
+        log.info(`Catalogue désactivé par la config: ${catalogId}`);
+        return { metas: [] };
+    }
+
+    if (!isAvailable(catalog, new Date(), userConfig)) {
+        log.info(`Catalogue indisponible (hors saison ou config incomplète): ${catalogId}`);
+        return { metas: [], ...CACHE_HINTS.error };
+    }
+
+    const missing = (catalog.extra || []).find(e => e.isRequired && !extra?.[e.name]);
+    if (missing) {
+        log.debug(`Paramètre ${missing.name} manquant pour ${catalogId}`);
         return { metas: [] };
     }
 
     const skip = parseInt(extra?.skip) || 0;
-    const page = Math.floor(skip / 20) + 1;
 
     try {
-        const results = await catalog.fetch(page);
-        console.log(`[CataloogBP] ${results.length} résultats pour ${catalog.name}`);
-        return { metas: results };
+        const client = clientFor(userConfig);
+        // Filtre de contenu : vérifications titre par titre bornées par requête
+        const maxPages = client.contentFilter ? MAX_SCREENED_PAGES : undefined;
+        const results = await paginate(page => catalog.fetch(client, page, extra || {}, userConfig), skip, { maxPages });
+        log.info(`${results.length} résultats pour ${catalog.name}`);
+        if (!results.length) {
+            catalogEmpty.inc({ catalog: catalogId });
+        }
+        // Plateformes de la page servie uniquement (paginate en renvoie PAGE_SIZE au plus)
+        const metas = await addAvailability(client, results, userConfig.language);
+        return { metas: metas.map(meta => applyArtwork(meta, userConfig)), ...CACHE_HINTS.catalog };
     } catch (error) {
-        console.error(`[CataloogBP] Erreur catalogue ${id}:`, error.message);
-        return { metas: [] };
+        if (error instanceof TMDBAuthError) {
+            log.error(`Clé TMDB refusée (${error.status}), vérifier TMDB_API_KEY`);
+        } else {
+            log.error(`Erreur catalogue ${id}: ${error.message}`);
+        }
+        catalogErrors.inc({ catalog: catalogId });
+        return { metas: [], ...CACHE_HINTS.error };
+    }
+});
+
+/**
+ * Handler pour les fiches détaillées (IDs IMDb)
+ */
+builder.defineMetaHandler(async ({ type, id, config }) => {
+    log.info(`Meta demandée: ${id} (type: ${type})`);
+
+    const userConfig = parseConfig(config, CATALOG_IDS, DEFAULT_CATALOG_IDS);
+    const client = localeClient(userConfig);
+
+    try {
+        const tmdbId = await client.findTmdbId(id, type);
+
+        if (!tmdbId) {
+            log.info(`Aucun équivalent TMDB pour ${id}`);
+            return { meta: null };
+        }
+
+        const meta = type === 'movie'
+            ? await client.getMovieDetails(tmdbId)
+            : await client.getSeriesDetails(tmdbId);
+
+        const [available] = await addAvailability(client, [meta], userConfig.language);
+        return { meta: applyArtwork(available, userConfig), ...CACHE_HINTS.meta };
+    } catch (error) {
+        if (error instanceof TMDBNotFoundError) {
+            log.info(`Fiche introuvable sur TMDB: ${id}`);
+        } else if (error instanceof TMDBAuthError) {
+            log.error(`Clé TMDB refusée (${error.status}), vérifier TMDB_API_KEY`);
+        } else {
+            log.error(`Erreur meta ${id}: ${error.message}`);
+        }
+        return { meta: null, ...CACHE_HINTS.error };
     }
 });
 
 // ==================== SERVEUR ====================
 
-serveHTTP(builder.getInterface(), { port: PORT });
+/**
+ * Liste des catalogues par groupe (logs de démarrage)
+ *
+ * @returns {string}
+ */
+function describeGroups() {
+    const groups = new Map();
+    for (const catalog of Object.values(CATALOGS)) {
+        const names = groups.get(catalog.group) || new Set();
+        names.add(catalog.season ? `${catalog.name} (${catalog.season.from} → ${catalog.season.to})` : catalog.name);
+        groups.set(catalog.group, names);
+    }
 
-console.log(`
-[CataloogBP] ========================================
-[CataloogBP] Cataloog BP v${manifest.version} démarré!
-[CataloogBP] Port: ${PORT}
-[CataloogBP] URL: ${ADDON_URL}
-[CataloogBP] Manifest: ${ADDON_URL}/manifest.json
-[CataloogBP] ========================================
+    return [...groups]
+        .map(([group, names]) => `  ${group}:\n     - ${[...names].join(', ')}`)
+        .join('\n\n');
+}
+
+// Nouvelle vérification de la clé TMDB tant que TMDB est injoignable
+const READY_RETRY_DELAY = 30 * 1000;
+
+// Prêt une fois la clé TMDB acceptée (/ready)
+const readiness = { ready: false, reason: 'vérification de la clé TMDB en cours' };
+
+/**
+ * Vérifie la clé TMDB et met à jour l'état de /ready
+ *
+ * Une clé refusée n'est pas revérifiée (il faut corriger TMDB_API_KEY et redémarrer).
+ */
+async function checkReadiness() {
+    try {
+        await tmdb.checkApiKey();
+        Object.assign(readiness, { ready: true, reason: null });
+        log.info('Clé TMDB vérifiée, addon prêt');
+    } catch (error) {
+        if (error instanceof TMDBAuthError) {
+            readiness.reason = `clé TMDB refusée (${error.status})`;
+            log.error(`Clé TMDB refusée (${error.status}), vérifier TMDB_API_KEY`);
+            return;
+        }
+        readiness.reason = error.message;
+        log.warn(`Vérification TMDB échouée, nouvel essai dans ${READY_RETRY_DELAY / 1000} s: ${error.message}`);
+        setTimeout(checkReadiness, READY_RETRY_DELAY).unref();
+    }
+}
 
-[CataloogBP] ${Object.keys(CATALOGS).length} catalogues disponibles:
+const app = express();
 
-  🌏 Asie:
-     - K-Drama, Romance Coréenne, Cinéma Coréen
-     - J-Drama, Cinéma Japonais
-     - Drama Asiatique, Cinéma Chinois
+// Identifiant de requête repris dans tous les logs de la requête
+app.use(requestContext);
 
-  🔪 Thriller & Policier:
-     - Thriller (Films & Séries)
-     - Policier (Films & Séries)
+// Processus en vie
+app.get('/health', (req, res) => {
+    res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Prêt à servir (clé TMDB acceptée)
+app.get('/ready', (req, res) => {
+    if (readiness.ready) {
+        res.json({ status: 'ready' });
+    } else {
+        res.status(503).json({ status: 'not ready', reason: readiness.reason });
+    }
+});
 
-  🎬 Classiques:
-     - Films Classiques, Séries Classiques, Mini-séries
+// Métriques Prometheus
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', metrics.CONTENT_TYPE);
+    res.end(metrics.registry.render());
+});
 
-  💕 Romance & Drame:
-     - Romance, Drame (Films & Séries)
+app.get('/', (req, res) => res.redirect('/configure'));
 
-  🏆 Top:
-     - Top Films, Top Séries
+/**
+ * Plateformes proposées sur la page de configuration (région de la config)
+ *
+ * Sans réponse TMDB, la page n'affiche que les plateformes déjà choisies.
+ *
+ * @param {TMDBClient} client - Client TMDB de l'installation
+ * @returns {Promise<Array<{id: number, name: string}>>}
+ */
+async function loadWatchProviders(client) {
+    try {
+        return await client.getWatchProviders();
+    } catch (error) {
+        log.warn(`Plateformes TMDB indisponibles: ${error.message}`);
+        return [];
+    }
+}
 
-  📺 Plateformes:
-     - Netflix, Prime Video, Disney+, Canal+
+// Page de configuration (pré-remplie si une config est déjà installée)
+app.get('/:config?/configure', async (req, res) => {
+    const config = parseConfig(req.params.config, CATALOG_IDS, DEFAULT_CATALOG_IDS);
+    const providers = await loadWatchProviders(localeClient(config));
+    const catalogs = CATALOG_IDS.map(id => ({
+        id,
+        name: CATALOGS[id].name,
+        type: CATALOGS[id].type,
+        season: CATALOGS[id].season,
+        tunable: CATALOGS[id].tunable,
+        filters: CATALOGS[id].filters
+    }));
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.end(renderConfigurePage({ manifest, catalogs, config, providers }));
+});
+
+// Manifest propre à chaque config (catalogues choisis, ordre, noms, langue)
+app.get('/:config?/manifest.json', async (req, res) => {
+    const config = parseConfig(req.params.config, CATALOG_IDS, DEFAULT_CATALOG_IDS);
+    const genres = await loadGenres(localeClient(config));
+
+    const now = new Date();
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', `public, max-age=${manifestMaxAge(now)}`);
+    res.end(JSON.stringify(buildManifest(config, genres, now)));
+});
+
+app.use(getRouter(builder.getInterface()));
+
+app.listen(PORT);
+checkReadiness();
+
+// Sauvegarde le cache avant l'arrêt (redéploiement Render)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        log.info(`${signal} reçu, sauvegarde du cache...`);
+        Object.values(cacheStores).forEach(store => store.flush());
+        process.exit(0);
+    });
+}
+
+if (isJsonFormat()) {
+    log.info(`Cataloog BP v${manifest.version} démarré`, {
+        port: PORT,
+        url: ADDON_URL,
+        cache: CACHE_BACKEND,
+        tmdb: TMDB_BASE_URL,
+        fixtures: TMDB_FIXTURES || undefined,
+        catalogs: CATALOG_IDS.length
+    });
+} else {
+    console.log(`
+[CataloogBP] ========================================
+[CataloogBP] Cataloog BP v${manifest.version} démarré!
+[CataloogBP] Port: ${PORT}
+[CataloogBP] URL: ${ADDON_URL}
+[CataloogBP] Manifest: ${ADDON_URL}/manifest.json
+[CataloogBP] Configuration: ${ADDON_URL}/configure
+[CataloogBP] Santé: ${ADDON_URL}/health, ${ADDON_URL}/ready, ${ADDON_URL}/metrics
+[CataloogBP] Cache: ${CACHE_BACKEND} (${CACHE_BACKEND === 'file' ? CACHE_DIR : 'mémoire'})
+[CataloogBP] TMDB: ${TMDB_BASE_URL}${fixtures ? ` (fixtures: ${fixtures.mode}, ${TMDB_FIXTURES_DIR})` : ''}
+[CataloogBP] ========================================
+
+[CataloogBP] ${CATALOG_IDS.length} catalogues disponibles (${CATALOGS_FILE}):
+${describeGroups()}
 
 [CataloogBP] ========================================
 `);
+}
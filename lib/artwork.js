@@ -0,0 +1,61 @@
+/**
+ * Visuels des metas (affiches, fonds, logos)
+ *
+ * @description Construit les URLs d'images selon la config de l'installation :
+ * source (TMDB ou metahub), taille, et affiches avec notes (RatingPosterDB).
+ * Les metas du client TMDB portent les chemins bruts (tmdbImages) pour que le
+ * cache reste commun à toutes les configs.
+ */
+
+const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
+const METAHUB_URL = 'https://images.metahub.space';
+const RPDB_URL = 'https://api.ratingposterdb.com';
+
+/**
+ * Sources proposées
+ *
+ * tmdb : images TMDB (affiches traduites si disponibles), metahub si TMDB n'en a pas
+ * metahub : images metahub uniquement (par ID IMDb)
+ */
+const ARTWORK_SOURCES = {
+    tmdb: 'TMDB (metahub en secours)',
+    metahub: 'Metahub'
+};
+
+// Tailles proposées, en tailles TMDB et metahub
+const IMAGE_SIZES = {
+    small: { label: 'Petite', poster: 'w185', background: 'w780', logo: 'w185', metahub: 'small' },
+    medium: { label: 'Moyenne', poster: 'w342', background: 'w1280', logo: 'w300', metahub: 'medium' },
+    large: { label: 'Grande', poster: 'w780', background: 'original', logo: 'w500', metahub: 'large' }
+};
+
+const DEFAULT_ARTWORK = { artwork: 'tmdb', imageSize: 'medium', rpdbKey: null };
+
+/**
+ * Applique les visuels d'une installation à une meta
+ *
+ * @param {Object} meta - Meta du client TMDB (avec tmdbImages)
+ * @param {{artwork: string, imageSize: string, rpdbKey: string|null}} settings - Config normalisée
+ * @returns {Object} Meta Stremio (sans tmdbImages)
+ */
+function applyArtwork(meta, settings = DEFAULT_ARTWORK) {
+    if (!meta) return meta;
+
+    const { tmdbImages = {}, ...rest } = meta;
+    const size = IMAGE_SIZES[settings.imageSize] || IMAGE_SIZES[DEFAULT_ARTWORK.imageSize];
+    const metahub = kind => `${METAHUB_URL}/${kind}/${size.metahub}/${meta.id}/img`;
+    const image = kind => (settings.artwork === 'tmdb' && tmdbImages[kind]
+        ? `${TMDB_IMAGE_URL}/${size[kind]}${tmdbImages[kind]}`
+        : metahub(kind));
+
+    return {
+        ...rest,
+        poster: settings.rpdbKey
+            ? `${RPDB_URL}/${encodeURIComponent(settings.rpdbKey)}/imdb/poster-default/${meta.id}.jpg?fallback=true`
+            : image('poster'),
+        background: image('background'),
+        logo: image('logo')
+    };
+}
+
+module.exports = { applyArtwork, ARTWORK_SOURCES, IMAGE_SIZES, DEFAULT_ARTWORK };
@@ -0,0 +1,79 @@
+/**
+ * Disponibilité des titres (plateformes de streaming)
+ *
+ * @description Ajoute aux metas une ligne "Disponible sur : Netflix, Canal+" en tête
+ * du résumé et des liens vers les offres, d'après les plateformes TMDB de la région
+ * de l'installation. Appliqué à chaque réponse (fiche, page de catalogue) : la
+ * disponibilité garde son propre cache partagé (voir TMDBClient.getTitleProviders)
+ * au lieu d'être figée dans les listes. Un catalogue ne consulte que la page servie
+ * (PAGE_SIZE titres au plus) et les appels TMDB passent par la file bornée du client.
+ */
+
+const { createLogger } = require('./logger');
+
+const log = createLogger('Availability');
+
+// Libellé de la ligne de disponibilité, par langue d'installation
+const AVAILABLE_ON = {
+    fr: 'Disponible sur : ',
+    en: 'Available on: ',
+    nl: 'Beschikbaar op: '
+};
+
+/**
+ * Ajoute les plateformes à une meta
+ *
+ * @param {Object} meta - Meta du client TMDB (avec tmdbId)
+ * @param {{link: string, providers: string[]}|null} availability - Plateformes du titre
+ * @param {string} language - Code langue de l'installation (fr, en, nl)
+ * @returns {Object} Meta Stremio (sans tmdbId)
+ */
+function applyAvailability(meta, availability, language) {
+    if (!meta) return meta;
+
+    const { tmdbId, ...rest } = meta;
+    if (!availability) return rest;
+
+    const label = AVAILABLE_ON[language] || AVAILABLE_ON.fr;
+    const line = `${label}${availability.providers.join(', ')}`;
+
+    return {
+        ...rest,
+        description: rest.description ? `${line}\n\n${rest.description}` : line,
+        links: [
+            ...(rest.links || []),
+            ...availability.providers.map(name => ({
+                name,
+                category: label.replace(/\s*:\s*$/, ''),
+                url: availability.link
+            }))
+        ]
+    };
+}
+
+/**
+ * Ajoute les plateformes à une liste de metas (page de catalogue ou fiche)
+ *
+ * Un titre dont les plateformes sont indisponibles (erreur TMDB) est servi sans.
+ *
+ * @param {TMDBClient} tmdb - Client de l'installation (région)
+ * @param {Object[]} metas - Metas du client TMDB, une page servie au plus
+ * @param {string} language - Code langue de l'installation
+ * @returns {Promise<Object[]>}
+ */
+async function addAvailability(tmdb, metas, language) {
+    const availabilities = await Promise.all(metas.map(async meta => {
+        if (!meta?.tmdbId) return null;
+
+        try {
+            return await tmdb.getTitleProviders(meta.type, meta.tmdbId);
+        } catch (error) {
+            log.debug(`Plateformes indisponibles pour ${meta.id}: ${error.message}`);
+            return null;
+        }
+    }));
+
+    return metas.map((meta, index) => applyAvailability(meta, availabilities[index], language));
+}
+
+module.exports = { addAvailability, applyAvailability };
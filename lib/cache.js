@@ -0,0 +1,251 @@
+/**
+ * Stockage du cache
+ *
+ * @description Backends interchangeables pour le cache TMDB : mémoire (LRU borné,
+ * TTL par clé) et fichier JSON local, rechargé au démarrage pour survivre aux redéploiements.
+ * Une entrée expirée peut être conservée un temps (staleTtl) pour être servie pendant
+ * son rafraîchissement ou en cas de panne TMDB.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Cache');
+
+// Taille maximale par défaut (nombre d'entrées)
+const DEFAULT_MAX_ENTRIES = 2000;
+
+// Délai entre deux écritures du fichier (les écritures sont regroupées)
+const SAVE_DELAY = 60 * 1000;
+
+/**
+ * Indique si une entrée a dépassé sa date de conservation (périmée comprise)
+ *
+ * @param {Object} entry - Entrée de cache
+ * @param {number} now - Timestamp courant
+ * @returns {boolean}
+ */
+function isDead(entry, now) {
+    const deadline = entry.staleUntil ?? entry.expiresAt;
+    return Boolean(deadline) && deadline <= now;
+}
+
+/**
+ * Cache mémoire LRU avec expiration par clé
+ *
+ * L'ordre d'insertion de la Map sert d'ordre LRU : une lecture remet la clé en fin de liste,
+ * l'entrée la plus ancienne est évincée quand la taille maximale est dépassée.
+ */
+class MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Nombre maximal d'entrées (Infinity = illimité)
+     */
+    constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Lit une entrée
+     *
+     * @param {string} key - Clé
+     * @param {Object} options
+     * @param {boolean} options.stale - Renvoie aussi une entrée expirée encore conservée
+     * @returns {{value: any, expiresAt: number|null, staleUntil: number|null}|undefined}
+     */
+    get(key, { stale = false } = {}) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        const now = Date.now();
+        if (isDead(entry, now)) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        if (!stale && entry.expiresAt && entry.expiresAt <= now) {
+            return undefined;
+        }
+
+        // Marque la clé comme récemment utilisée
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Enregistre une valeur
+     *
+     * @param {string} key - Clé
+     * @param {any} value - Valeur (sérialisable en JSON)
+     * @param {number} [ttl] - Durée de vie en ms (absente = permanente)
+     * @param {number} [staleTtl] - Durée de conservation après expiration
+     */
+    set(key, value, ttl, staleTtl = 0) {
+        const expiresAt = ttl ? Date.now() + ttl : null;
+        const staleUntil = expiresAt ? expiresAt + staleTtl : null;
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt, staleUntil });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this._changed();
+    }
+
+    /**
+     * Supprime une entrée
+     *
+     * @param {string} key - Clé
+     */
+    delete(key) {
+        if (this.entries.delete(key)) {
+            this._changed();
+        }
+    }
+
+    /**
+     * Nombre d'entrées stockées
+     *
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Écrit immédiatement les données en attente (sans effet en mémoire)
+     */
+    flush() {}
+
+    /**
+     * Appelé après chaque modification
+     *
+     * @private
+     */
+    _changed() {}
+}
+
+/**
+ * Cache persisté dans un fichier JSON
+ *
+ * Le fichier est chargé à la construction puis réécrit au plus une fois par
+ * SAVE_DELAY, et de façon synchrone par flush() à l'arrêt du serveur.
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Chemin du fichier
+     * @param {number} options.maxEntries - Nombre maximal d'entrées
+     */
+    constructor({ file, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        super({ maxEntries });
+        this.file = file;
+        this.saveTimer = null;
+        this._load();
+    }
+
+    /**
+     * Charge le fichier s'il existe (les entrées qui ne sont plus conservées sont ignorées)
+     *
+     * @private
+     */
+    _load() {
+        if (!fs.existsSync(this.file)) return;
+
+        try {
+            const now = Date.now();
+            const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            for (const [key, entry] of entries) {
+                if (!isDead(entry, now)) {
+                    this.entries.set(key, entry);
+                }
+            }
+            while (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+            log.info(`${this.entries.size} entrées chargées depuis ${this.file}`);
+        } catch (error) {
+            log.error(`Fichier illisible ${this.file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sérialise les entrées encore conservées
+     *
+     * @returns {string}
+     * @private
+     */
+    _serialize() {
+        const now = Date.now();
+        const entries = [...this.entries].filter(([, entry]) => !isDead(entry, now));
+        return JSON.stringify(entries);
+    }
+
+    /**
+     * Programme une écriture différée
+     *
+     * @private
+     */
+    _changed() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(async () => {
+            this.saveTimer = null;
+            try {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(`${this.file}.tmp`, this._serialize());
+                await fs.promises.rename(`${this.file}.tmp`, this.file);
+            } catch (error) {
+                log.error(`Écriture impossible ${this.file}: ${error.message}`);
+            }
+        }, SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Écrit le fichier immédiatement (arrêt du serveur)
+     */
+    flush() {
+        if (!this.saveTimer) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(`${this.file}.tmp`, this._serialize());
+            fs.renameSync(`${this.file}.tmp`, this.file);
+        } catch (error) {
+            log.error(`Écriture impossible ${this.file}: ${error.message}`);
+        }
+    }
+}
+
+// Backends disponibles (CACHE_BACKEND)
+const BACKENDS = {
+    memory: MemoryStore,
+    file: FileStore
+};
+
+/**
+ * Crée un stockage de cache
+ *
+ * @param {string} backend - Nom du backend (memory, file)
+ * @param {Object} options - Options du backend
+ * @returns {MemoryStore}
+ */
+function createStore(backend, options = {}) {
+    const Store = BACKENDS[backend];
+
+    if (!Store) {
+        throw new Error(`Backend de cache inconnu: ${backend} (disponibles: ${Object.keys(BACKENDS).join(', ')})`);
+    }
+
+    return new Store(options);
+}
+
+module.exports = { MemoryStore, FileStore, createStore };
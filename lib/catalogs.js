@@ -0,0 +1,490 @@
+/**
+ * Définitions de catalogues
+ *
+ * @description Charge et valide le fichier de catalogues (YAML ou JSON),
+ * puis relie chaque définition au client TMDB
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+const { validateFilters, addGenre, genreConstraints } = require('./discover');
+const { LANGUAGES, PROVIDER_ACCESS } = require('./config');
+const { validateSeason } = require('./seasons');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Catalogs');
+
+const TYPES = ['movie', 'series'];
+
+// Équivalent discover de /top_rated, utilisé quand un genre est choisi
+const TOP_RATED_FILTERS = { sort: 'vote_average.desc', minVotes: 300 };
+
+// Équivalent discover de /movie/popular, utilisé quand un genre est choisi
+const POPULAR_FILTERS = { sort: 'popularity.desc', minVotes: 50 };
+
+// Périodes des tendances, proposées dans le sélecteur de genre de Stremio
+const TRENDING_WINDOWS = {
+    day: { fr: "Aujourd'hui", en: 'Today', nl: 'Vandaag' },
+    week: { fr: 'Cette semaine', en: 'This week', nl: 'Deze week' }
+};
+
+/**
+ * Période des tendances choisie dans Stremio (jour par défaut)
+ *
+ * @param {string} [label] - Option choisie (dans n'importe quelle langue)
+ * @returns {string} day ou week
+ */
+function trendingWindow(label) {
+    return Object.keys(TRENDING_WINDOWS)
+        .find(window => Object.values(TRENDING_WINDOWS[window]).includes(label)) || 'day';
+}
+
+// Tris proposés aux catalogues discover (extra Stremio "sort"), par langue
+const SORT_ORDERS = {
+    popularity: { fr: 'Popularité', en: 'Popularity', nl: 'Populariteit' },
+    rating: { fr: 'Mieux notés', en: 'Top rated', nl: 'Best beoordeeld' },
+    newest: { fr: 'Plus récents', en: 'Newest', nl: 'Nieuwste' },
+    oldest: { fr: 'Plus anciens', en: 'Oldest', nl: 'Oudste' }
+};
+
+/**
+ * Tri choisi dans Stremio
+ *
+ * @param {string} [label] - Option choisie (dans n'importe quelle langue)
+ * @returns {string|null} Clé de SORT_ORDERS, null si aucun tri (tri du catalogue)
+ */
+function sortOrder(label) {
+    return Object.keys(SORT_ORDERS)
+        .find(order => Object.values(SORT_ORDERS[order]).includes(label)) || null;
+}
+
+/**
+ * Applique un tri choisi aux filtres d'un catalogue
+ *
+ * Les plus récents s'arrêtent à aujourd'hui (sinon les titres annoncés pour
+ * dans plusieurs années passent en tête). Le minimum de votes des tris par
+ * note est garanti par lib/discover.js.
+ *
+ * @param {string} type - movie ou series
+ * @param {Object} filters - Filtres du catalogue
+ * @param {string|null} order - Clé de SORT_ORDERS
+ * @returns {Object} Nouveaux filtres
+ */
+function applySortOrder(type, filters, order) {
+    const date = type === 'movie' ? 'primary_release_date' : 'first_air_date';
+
+    switch (order) {
+        case 'popularity':
+            return { ...filters, sort: 'popularity.desc' };
+        case 'rating':
+            return { ...filters, sort: 'vote_average.desc' };
+        case 'newest':
+            return {
+                ...filters,
+                sort: `${date}.desc`,
+                releasedBefore: filters.releasedBefore || new Date().toISOString().substring(0, 10)
+            };
+        case 'oldest':
+            return { ...filters, sort: `${date}.asc` };
+        default:
+            return filters;
+    }
+}
+
+// Catalogues de personne : rôles et tris acceptés (le premier est la valeur par défaut)
+const PERSON_ROLES = ['director', 'cast'];
+const PERSON_SORTS = ['date', 'rating'];
+
+/**
+ * Valide la personne d'un catalogue (endpoint person)
+ *
+ * @param {Object} person - { id, role, sort }
+ * @returns {string[]} Erreurs
+ */
+function validatePerson(person) {
+    if (!person || typeof person !== 'object' || Array.isArray(person)) {
+        return ['objet { id, role, sort } attendu'];
+    }
+
+    const errors = [];
+    if (!Number.isInteger(person.id) || person.id <= 0) {
+        errors.push(`id: ID de personne TMDB attendu (npm run find-person -- "nom"), reçu ${JSON.stringify(person.id)}`);
+    }
+    if (person.role !== undefined && !PERSON_ROLES.includes(person.role)) {
+        errors.push(`role: ${PERSON_ROLES.join(' ou ')} attendu, reçu ${JSON.stringify(person.role)}`);
+    }
+    if (person.sort !== undefined && !PERSON_SORTS.includes(person.sort)) {
+        errors.push(`sort: ${PERSON_SORTS.join(' ou ')} attendu, reçu ${JSON.stringify(person.sort)}`);
+    }
+    return errors;
+}
+
+// Sagas par catalogue (maximum)
+const MAX_COLLECTIONS = 30;
+
+/**
+ * Valide les sagas d'un catalogue (endpoint collections)
+ *
+ * @param {number[]} collections - IDs de collection TMDB
+ * @returns {string[]} Erreurs
+ */
+function validateCollections(collections) {
+    if (!Array.isArray(collections) || !collections.length || collections.length > MAX_COLLECTIONS) {
+        return [`liste de 1 à ${MAX_COLLECTIONS} IDs de collection TMDB attendue`];
+    }
+
+    return collections
+        .filter(id => !Number.isInteger(id) || id <= 0)
+        .map(id => `ID de collection TMDB attendu (npm run find-collection -- "nom"), reçu ${JSON.stringify(id)}`);
+}
+
+/**
+ * Page discover avec le genre et le tri choisis dans Stremio
+ *
+ * @param {TMDBClient} tmdb - Client de l'installation
+ * @param {string} type - movie ou series
+ * @param {Object} filters - Filtres du catalogue
+ * @param {number} page - Page TMDB
+ * @param {{genreId: number|null, sort: string}} extra - Choix Stremio
+ * @returns {Promise<Object[]>}
+ */
+function discoverPage(tmdb, type, filters, page, { genreId, sort }) {
+    const sorted = applySortOrder(type, filters, sortOrder(sort));
+    if (!genreId) return tmdb.discover(type, sorted, page);
+
+    const { filters: withGenre, anyGenres } = addGenre(sorted, genreId);
+    return tmdb.discover(type, withGenre, page, { anyGenres });
+}
+
+/**
+ * Endpoints utilisables dans le fichier
+ *
+ * extra : paramètres Stremio supplémentaires déclarés dans le manifest,
+ * genres : le catalogue accepte le filtre de genre Stremio (catalogues larges ; 'optional' :
+ *   seulement si le fichier le demande avec genreFilter: true),
+ * tunable : tri Stremio et seuils de la config (note, votes) appliqués aux filtres,
+ * options : options propres du sélecteur de genre, par langue (à la place des genres TMDB),
+ * types : types acceptés (tous par défaut),
+ * enabledFor : le catalogue n'est proposé qu'aux configs qui le permettent (toutes par défaut),
+ * person : le catalogue décrit une personne (champ person obligatoire),
+ * collections : le catalogue liste des sagas (champ collections obligatoire),
+ * fetch : récupère une page de metas (genreId : genre choisi ou null ; config de l'installation)
+ */
+const ENDPOINTS = {
+    // Préréglages souvent étroits (K-Drama, Noël...) : sélecteur de genre sur demande
+    discover: {
+        genres: 'optional',
+        tunable: true,
+        fetch: (tmdb, catalog, page, extra) => discoverPage(tmdb, catalog.type, catalog.filters, page, extra)
+    },
+    // Plateformes choisies dans la config, fusionnées (au moins une des plateformes)
+    my_providers: {
+        genres: true,
+        tunable: true,
+        enabledFor: config => config.providers.length > 0,
+        fetch: (tmdb, catalog, page, extra, config) => discoverPage(tmdb, catalog.type, {
+            providers: { any: config.providers },
+            monetization: PROVIDER_ACCESS[config.providerAccess].monetization,
+            sort: 'popularity.desc',
+            ...catalog.filters
+        }, page, extra)
+    },
+    // Filmographie d'une personne (réalisateur ou acteur)
+    person: {
+        person: true,
+        fetch: (tmdb, catalog, page) => tmdb.getPersonCredits(catalog.person.id, {
+            type: catalog.type,
+            role: catalog.person.role,
+            sort: catalog.person.sort
+        }, page)
+    },
+    // Sagas choisies (ou recherchées dans Stremio), chacune dans l'ordre de sortie
+    collections: {
+        collections: true,
+        types: ['movie'],
+        extra: [{ name: 'search', isRequired: false }],
+        fetch: (tmdb, catalog, page, { search }) => (search
+            ? tmdb.searchCollections(search, page)
+            : tmdb.getCollections(catalog.collections, page))
+    },
+    // Titres proches des favoris de la config
+    recommendations: {
+        enabledFor: config => config.favorites.length > 0,
+        fetch: (tmdb, catalog, page, extra, config) => tmdb.getRecommendations(catalog.type, config.favorites, page)
+    },
+    top_rated: {
+        genres: true,
+        fetch: (tmdb, catalog, page, { genreId }) => {
+            if (genreId) {
+                return tmdb.discover(catalog.type, { ...TOP_RATED_FILTERS, withGenres: [genreId] }, page);
+            }
+            return catalog.type === 'movie' ? tmdb.getTopRatedMovies(page) : tmdb.getTopRatedSeries(page);
+        }
+    },
+    search: {
+        extra: [{ name: 'search', isRequired: true }],
+        fetch: (tmdb, catalog, page, { search }) => (catalog.type === 'movie'
+            ? tmdb.searchMovies(search, page)
+            : tmdb.searchSeries(search, page))
+    },
+    trending: {
+        options: language => Object.values(TRENDING_WINDOWS).map(labels => labels[language]),
+        fetch: (tmdb, catalog, page, { genre }) => {
+            const week = trendingWindow(genre) === 'week';
+            if (catalog.type === 'movie') {
+                return week ? tmdb.getTrendingMoviesWeek(page) : tmdb.getTrendingMoviesDay(page);
+            }
+            return week ? tmdb.getTrendingSeriesWeek(page) : tmdb.getTrendingSeriesDay(page);
+        }
+    },
+    now_playing: {
+        types: ['movie'],
+        fetch: (tmdb, catalog, page) => tmdb.getNowPlayingMovies(page)
+    },
+    upcoming: {
+        types: ['movie'],
+        fetch: (tmdb, catalog, page) => tmdb.getUpcomingMovies(page)
+    },
+    popular: {
+        types: ['movie'],
+        genres: true,
+        fetch: (tmdb, catalog, page, { genreId }) => (genreId
+            ? tmdb.discover('movie', { ...POPULAR_FILTERS, withGenres: [genreId] }, page)
+            : tmdb.getPopularMovies(page))
+    }
+};
+
+/**
+ * Fichier de catalogues invalide
+ */
+class CatalogFileError extends Error {
+    /**
+     * @param {string} file - Chemin du fichier
+     * @param {string[]} errors - Erreurs détaillées
+     */
+    constructor(file, errors) {
+        super(`Fichier de catalogues invalide (${file}):\n  - ${errors.join('\n  - ')}`);
+        this.name = 'CatalogFileError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Valide une définition de catalogue
+ *
+ * @param {Object} catalog - Définition brute
+ * @param {string} where - Position dans le fichier (pour les messages)
+ * @returns {string[]} Erreurs
+ */
+function validateCatalog(catalog, where) {
+    if (!catalog || typeof catalog !== 'object') {
+        return [`${where}: objet attendu`];
+    }
+
+    const errors = [];
+    const endpoint = catalog.endpoint || 'discover';
+
+    if (typeof catalog.id !== 'string' || !/^[a-z0-9-]+$/.test(catalog.id)) {
+        errors.push(`${where}.id: identifiant en minuscules, chiffres et tirets attendu`);
+    }
+    if (!TYPES.includes(catalog.type)) {
+        errors.push(`${where}.type: ${TYPES.join(' ou ')} attendu, reçu ${JSON.stringify(catalog.type)}`);
+    }
+    if (typeof catalog.name !== 'string' || !catalog.name.trim()) {
+        errors.push(`${where}.name: nom obligatoire`);
+    }
+    if (catalog.names !== undefined) {
+        const valid = catalog.names && typeof catalog.names === 'object' && !Array.isArray(catalog.names)
+            && Object.entries(catalog.names).every(([language, name]) =>
+                Object.hasOwn(LANGUAGES, language) && typeof name === 'string' && name.trim());
+        if (!valid) {
+            errors.push(`${where}.names: noms par langue attendus (${Object.keys(LANGUAGES).join(', ')})`);
+        }
+    }
+    if (catalog.season !== undefined) {
+        validateSeason(catalog.season).forEach(error => errors.push(`${where}.season: ${error}`));
+    }
+    if (catalog.genreFilter !== undefined) {
+        if (typeof catalog.genreFilter !== 'boolean') {
+            errors.push(`${where}.genreFilter: true ou false attendu`);
+        } else if (ENDPOINTS[endpoint] && ENDPOINTS[endpoint].genres !== 'optional') {
+            errors.push(`${where}.genreFilter: uniquement pour l'endpoint discover`);
+        }
+    }
+    if (catalog.enabled !== undefined && typeof catalog.enabled !== 'boolean') {
+        errors.push(`${where}.enabled: true ou false attendu`);
+    }
+    if (catalog.group !== undefined && typeof catalog.group !== 'string') {
+        errors.push(`${where}.group: texte attendu`);
+    }
+    if (!ENDPOINTS[endpoint]) {
+        errors.push(`${where}.endpoint: ${Object.keys(ENDPOINTS).join(', ')} attendu, reçu ${JSON.stringify(endpoint)}`);
+    } else if (ENDPOINTS[endpoint].types && !ENDPOINTS[endpoint].types.includes(catalog.type)) {
+        errors.push(`${where}.type: l'endpoint ${endpoint} n'accepte que ${ENDPOINTS[endpoint].types.join(', ')}`);
+    }
+
+    if (ENDPOINTS[endpoint]?.person) {
+        validatePerson(catalog.person).forEach(error => errors.push(`${where}.person: ${error}`));
+    } else if (catalog.person !== undefined) {
+        errors.push(`${where}.person: uniquement pour l'endpoint person`);
+    }
+
+    if (ENDPOINTS[endpoint]?.collections) {
+        validateCollections(catalog.collections).forEach(error => errors.push(`${where}.collections: ${error}`));
+    } else if (catalog.collections !== undefined) {
+        errors.push(`${where}.collections: uniquement pour l'endpoint collections`);
+    }
+
+    if (endpoint === 'discover') {
+        validateFilters(catalog.filters || {}, catalog.type)
+            .forEach(error => errors.push(`${where}.filters.${error}`));
+    } else if (catalog.filters !== undefined) {
+        errors.push(`${where}.filters: uniquement pour l'endpoint discover`);
+    }
+
+    return errors;
+}
+
+/**
+ * Charge le fichier de catalogues
+ *
+ * @param {string} file - Chemin du fichier (.yaml, .yml ou .json)
+ * @returns {Object[]} Définitions normalisées, dans l'ordre du fichier
+ * @throws {CatalogFileError} Fichier illisible ou invalide
+ */
+function loadCatalogs(file) {
+    let data;
+
+    try {
+        const text = fs.readFileSync(file, 'utf8');
+        data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new CatalogFileError(file, [error.message]);
+    }
+
+    if (!data || !Array.isArray(data.catalogs) || !data.catalogs.length) {
+        throw new CatalogFileError(file, ['liste "catalogs" absente ou vide']);
+    }
+
+    const errors = [];
+    const ids = new Set();
+
+    data.catalogs.forEach((catalog, index) => {
+        const where = `catalogs[${index}]${catalog?.id ? ` (${catalog.id})` : ''}`;
+        errors.push(...validateCatalog(catalog, where));
+
+        if (ids.has(catalog?.id)) {
+            errors.push(`${where}.id: identifiant déjà utilisé`);
+        }
+        ids.add(catalog?.id);
+    });
+
+    if (errors.length) {
+        throw new CatalogFileError(file, errors);
+    }
+
+    return data.catalogs.map(catalog => {
+        const endpoint = catalog.endpoint || 'discover';
+        return {
+            id: catalog.id,
+            type: catalog.type,
+            name: catalog.name.trim(),
+            names: Object.fromEntries(Object.entries(catalog.names || {}).map(([lang, name]) => [lang, name.trim()])),
+            group: catalog.group || 'Autres',
+            byDefault: catalog.enabled !== false,
+            season: catalog.season ? { from: catalog.season.from, to: catalog.season.to } : null,
+            person: catalog.person ? {
+                id: catalog.person.id,
+                role: catalog.person.role || PERSON_ROLES[0],
+                sort: catalog.person.sort || PERSON_SORTS[0]
+            } : null,
+            collections: catalog.collections ? [...new Set(catalog.collections)] : null,
+            endpoint,
+            filters: catalog.filters || {},
+            extra: ENDPOINTS[endpoint].extra || [],
+            genres: ENDPOINTS[endpoint].genres === 'optional'
+                ? catalog.genreFilter === true
+                : Boolean(ENDPOINTS[endpoint].genres),
+            tunable: Boolean(ENDPOINTS[endpoint].tunable),
+            enabledFor: ENDPOINTS[endpoint].enabledFor || (() => true),
+            options: ENDPOINTS[endpoint].options || null
+        };
+    });
+}
+
+/**
+ * Nom d'un catalogue dans une langue (nom du fichier par défaut)
+ *
+ * @param {Object} catalog - Définition normalisée
+ * @param {string} language - Code langue (fr, en, nl)
+ * @returns {string}
+ */
+function catalogName(catalog, language) {
+    return catalog.names[language] || catalog.name;
+}
+
+/**
+ * Options du tri Stremio d'un catalogue
+ *
+ * @param {Object} catalog - Définition normalisée
+ * @param {string} language - Code langue (fr, en, nl)
+ * @returns {string[]} Vide si le catalogue n'est pas triable
+ */
+function sortOptions(catalog, language) {
+    return catalog.tunable ? Object.values(SORT_ORDERS).map(labels => labels[language]) : [];
+}
+
+/**
+ * Options du sélecteur de genre d'un catalogue
+ *
+ * Les genres que le catalogue impose déjà (withGenres en mode all) ou exclut
+ * (withoutGenres) ne sont pas proposés : ils ne changeraient rien ou videraient la liste.
+ *
+ * @param {Object} catalog - Définition normalisée
+ * @param {Array<{id: number, name: string}>} genres - Genres TMDB du type (langue de l'installation)
+ * @returns {string[]} Vide si le catalogue n'a pas de sélecteur de genre TMDB
+ */
+function genreOptions(catalog, genres) {
+    if (!catalog.genres) return [];
+
+    const { required, excluded } = genreConstraints(catalog.filters);
+    return genres
+        .filter(genre => !required.includes(genre.id) && !excluded.includes(genre.id))
+        .map(genre => genre.name);
+}
+
+/**
+ * Crée la fonction de chargement d'un catalogue
+ *
+ * Le client est passé à chaque appel (langue et région de l'installation).
+ * Le genre choisi dans Stremio (extra.genre, nom localisé) est traduit en ID TMDB.
+ * Les seuils de la config (minRating, minVotes) remplacent ceux du fichier.
+ *
+ * @param {Object} catalog - Définition normalisée
+ * @returns {function(TMDBClient, number, Object, Object): Promise<Object[]>}
+ *   (tmdb, page, extra, config) => metas ; config : config normalisée de l'installation
+ */
+function createFetcher(catalog) {
+    const endpoint = ENDPOINTS[catalog.endpoint];
+
+    return async (tmdb, page, extra = {}, config) => {
+        const thresholds = config.thresholds[catalog.id] || {};
+        const target = catalog.tunable && Object.keys(thresholds).length
+            ? { ...catalog, filters: { ...catalog.filters, ...thresholds } }
+            : catalog;
+
+        let genreId = null;
+
+        if (catalog.genres && extra.genre) {
+            genreId = await tmdb.findGenreId(catalog.type, extra.genre);
+            if (!genreId) {
+                log.warn(`Genre inconnu ignoré: ${extra.genre}`);
+            }
+        }
+
+        return endpoint.fetch(tmdb, target, page, { ...extra, genreId }, config);
+    };
+}
+
+module.exports = { loadCatalogs, createFetcher, catalogName, sortOptions, genreOptions, CatalogFileError, ENDPOINTS };
@@ -0,0 +1,115 @@
+/**
+ * Limitation de concurrence et de débit
+ *
+ * @description File d'attente partagée pour borner le nombre de tâches
+ * asynchrones lancées en même temps (ex: appels TMDB en rafale), et seau
+ * à jetons pour rester sous un nombre de requêtes par seconde
+ */
+
+const { AsyncResource } = require('async_hooks');
+
+/**
+ * Attend un délai
+ *
+ * @param {number} ms - Durée en millisecondes
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Crée un limiteur de concurrence
+ *
+ * Une tâche mise en file s'exécute dans le contexte de celui qui l'a confiée
+ * (identifiant de requête des logs), pas dans celui de la tâche qui libère la place.
+ *
+ * @param {number} concurrency - Nombre maximal de tâches simultanées
+ * @returns {function(Function): Promise<any>} Exécute la tâche dès qu'une place se libère
+ */
+function createLimiter(concurrency) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= concurrency || !queue.length) return;
+
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task: AsyncResource.bind(task), resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Seau à jetons (token bucket)
+ *
+ * Le seau se remplit de `rate` jetons par seconde jusqu'à `capacity`.
+ * Chaque requête consomme un jeton et attend s'il n'y en a plus.
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.rate - Jetons ajoutés par seconde
+     * @param {number} options.capacity - Rafale maximale (défaut: rate)
+     */
+    constructor({ rate, capacity = rate }) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Attend qu'un jeton soit disponible puis le consomme
+     *
+     * Les demandes sont servies dans l'ordre d'arrivée.
+     *
+     * @returns {Promise<void>}
+     */
+    take() {
+        const turn = this.queue.then(() => this._consume());
+        this.queue = turn;
+        return turn;
+    }
+
+    /**
+     * Consomme un jeton, en attendant le remplissage si le seau est vide
+     *
+     * @private
+     */
+    async _consume() {
+        this._refill();
+
+        if (this.tokens < 1) {
+            await sleep(((1 - this.tokens) / this.rate) * 1000);
+            this._refill();
+        }
+
+        this.tokens -= 1;
+    }
+
+    /**
+     * Ajoute les jetons accumulés depuis la dernière mise à jour
+     *
+     * @private
+     */
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+}
+
+module.exports = { createLimiter, TokenBucket, sleep };
@@ -0,0 +1,177 @@
+/**
+ * Configuration par installation
+ *
+ * @description Lecture et normalisation de la config passée dans l'URL du manifest
+ * (convention du SDK Stremio : `/<config JSON encodée>/manifest.json`)
+ */
+
+const { ARTWORK_SOURCES, IMAGE_SIZES, DEFAULT_ARTWORK } = require('./artwork');
+const { CONTENT_RATINGS, MAX_EXCLUDED_KEYWORDS } = require('./content');
+
+// Langues proposées : code TMDB et région par défaut
+const LANGUAGES = {
+    fr: { tmdb: 'fr-FR', label: 'Français', region: 'FR' },
+    en: { tmdb: 'en-US', label: 'English', region: 'US' },
+    nl: { tmdb: 'nl-NL', label: 'Nederlands', region: 'NL' }
+};
+
+// Régions proposées (sorties cinéma, plateformes de streaming)
+const REGIONS = {
+    FR: 'France',
+    BE: 'Belgique',
+    CH: 'Suisse',
+    CA: 'Canada',
+    NL: 'Pays-Bas',
+    GB: 'Royaume-Uni',
+    US: 'États-Unis'
+};
+
+const DEFAULT_LANGUAGE = 'fr';
+
+// Accès retenus pour le catalogue "Mes plateformes" (types d'accès TMDB)
+const PROVIDER_ACCESS = {
+    flatrate: { label: 'Abonnement uniquement', monetization: ['flatrate'] },
+    all: { label: 'Abonnement, location et achat', monetization: ['flatrate', 'rent', 'buy'] }
+};
+
+const DEFAULT_PROVIDER_ACCESS = 'flatrate';
+
+// Plateformes choisies (maximum)
+const MAX_PROVIDERS = 20;
+
+// Favoris (IDs IMDb) des recommandations
+const IMDB_ID_PATTERN = /^tt\d{5,10}$/;
+const MAX_FAVORITES = 50;
+
+// Votes minimum acceptés dans les seuils par catalogue
+const MAX_MIN_VOTES = 100000;
+
+// Clé RatingPosterDB (ex: t0-free-rpdb)
+const RPDB_KEY_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Lit les seuils d'un catalogue (note et votes minimum)
+ *
+ * @param {Object} raw - { minRating, minVotes } (nombres ou chaînes)
+ * @returns {{minRating?: number, minVotes?: number}} Seuils valides uniquement
+ */
+function parseThresholds(raw) {
+    const thresholds = {};
+    if (!raw || typeof raw !== 'object') return thresholds;
+
+    const minRating = Number(raw.minRating);
+    if (raw.minRating !== undefined && raw.minRating !== '' && minRating >= 0 && minRating <= 10) {
+        thresholds.minRating = Math.round(minRating * 10) / 10;
+    }
+
+    const minVotes = Number(raw.minVotes);
+    if (raw.minVotes !== undefined && raw.minVotes !== '' && Number.isInteger(minVotes)
+        && minVotes >= 0 && minVotes <= MAX_MIN_VOTES) {
+        thresholds.minVotes = minVotes;
+    }
+
+    return thresholds;
+}
+
+/**
+ * Normalise une config utilisateur
+ *
+ * Les catalogues inconnus sont ignorés, les doublons supprimés.
+ * Sans liste de catalogues, les catalogues par défaut sont activés dans l'ordre du fichier.
+ * Une langue ou une région inconnue est remplacée par la valeur par défaut
+ * (la région par défaut dépend de la langue), de même pour les visuels.
+ * Les mots-clés exclus acceptent des IDs TMDB (nombres ou chaînes) ; les autres valeurs sont ignorées,
+ * de même que les seuils invalides (thresholds : note 0 à 10, votes entiers).
+ * Les plateformes (providers) sont des IDs TMDB, dans l'ordre choisi ; les favoris
+ * (favorites) des IDs IMDb de films ou de séries.
+ *
+ * @param {Object|string|null} raw - Config brute (objet ou JSON)
+ * @param {string[]} catalogIds - IDs des catalogues disponibles (ordre par défaut)
+ * @param {string[]} defaultIds - IDs activés sans liste de catalogues (défaut: tous)
+ * @returns {{catalogs: string[], names: Object<string, string>, language: string, region: string,
+ *   artwork: string, imageSize: string, rpdbKey: string|null, maxRating: string|null,
+ *   excludedKeywords: number[], thresholds: Object<string, {minRating?: number, minVotes?: number}>,
+ *   providers: number[], providerAccess: string, favorites: string[]}}
+ */
+function parseConfig(raw, catalogIds, defaultIds = catalogIds) {
+    let input = raw;
+
+    if (typeof input === 'string') {
+        try {
+            input = JSON.parse(input);
+        } catch (error) {
+            input = null;
+        }
+    }
+
+    if (!input || typeof input !== 'object') {
+        input = {};
+    }
+
+    const catalogs = Array.isArray(input.catalogs)
+        ? [...new Set(input.catalogs.filter(id => catalogIds.includes(id)))]
+        : [...defaultIds];
+
+    const names = {};
+    if (input.names && typeof input.names === 'object') {
+        for (const [id, name] of Object.entries(input.names)) {
+            if (catalogIds.includes(id) && typeof name === 'string' && name.trim()) {
+                names[id] = name.trim().substring(0, 60);
+            }
+        }
+    }
+
+    const language = Object.hasOwn(LANGUAGES, input.language) ? input.language : DEFAULT_LANGUAGE;
+    const region = Object.hasOwn(REGIONS, input.region) ? input.region : LANGUAGES[language].region;
+
+    const artwork = Object.hasOwn(ARTWORK_SOURCES, input.artwork) ? input.artwork : DEFAULT_ARTWORK.artwork;
+    const imageSize = Object.hasOwn(IMAGE_SIZES, input.imageSize) ? input.imageSize : DEFAULT_ARTWORK.imageSize;
+    const rpdbKey = typeof input.rpdbKey === 'string' && RPDB_KEY_PATTERN.test(input.rpdbKey.trim())
+        ? input.rpdbKey.trim()
+        : null;
+
+    const thresholds = {};
+    if (input.thresholds && typeof input.thresholds === 'object') {
+        for (const [id, raw] of Object.entries(input.thresholds)) {
+            const parsed = catalogIds.includes(id) ? parseThresholds(raw) : {};
+            if (Object.keys(parsed).length) {
+                thresholds[id] = parsed;
+            }
+        }
+    }
+
+    const providers = Array.isArray(input.providers)
+        ? [...new Set(input.providers.map(Number).filter(id => Number.isInteger(id) && id > 0))].slice(0, MAX_PROVIDERS)
+        : [];
+    const providerAccess = Object.hasOwn(PROVIDER_ACCESS, input.providerAccess)
+        ? input.providerAccess
+        : DEFAULT_PROVIDER_ACCESS;
+
+    const favorites = Array.isArray(input.favorites)
+        ? [...new Set(input.favorites.filter(id => typeof id === 'string' && IMDB_ID_PATTERN.test(id)))]
+            .slice(0, MAX_FAVORITES)
+        : [];
+
+    const maxRating = Object.hasOwn(CONTENT_RATINGS, input.maxRating) ? input.maxRating : null;
+    const excludedKeywords = Array.isArray(input.excludedKeywords)
+        ? [...new Set(input.excludedKeywords.map(Number).filter(id => Number.isInteger(id) && id > 0))]
+            .slice(0, MAX_EXCLUDED_KEYWORDS)
+        : [];
+
+    return {
+        catalogs, names, language, region, artwork, imageSize, rpdbKey, maxRating, excludedKeywords, thresholds,
+        providers, providerAccess, favorites
+    };
+}
+
+/**
+ * Encode une config pour l'URL du manifest
+ *
+ * @param {Object} config - Config normalisée
+ * @returns {string} Segment d'URL
+ */
+function encodeConfig(config) {
+    return encodeURIComponent(JSON.stringify(config));
+}
+
+module.exports = { parseConfig, encodeConfig, LANGUAGES, REGIONS, PROVIDER_ACCESS };
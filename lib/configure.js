@@ -0,0 +1,281 @@
+/**
+ * Page de configuration (/configure)
+ *
+ * @description Génère la page HTML qui permet de choisir les catalogues,
+ * leur ordre, leur nom, leurs seuils, la langue, la région, les visuels, le filtre
+ * de contenu, les plateformes et les favoris avant l'installation dans Stremio
+ */
+
+const { LANGUAGES, REGIONS, PROVIDER_ACCESS } = require('./config');
+const { ARTWORK_SOURCES, IMAGE_SIZES } = require('./artwork');
+const { CONTENT_RATINGS } = require('./content');
+
+/**
+ * Échappe une chaîne pour l'insérer dans du HTML
+ *
+ * @param {string} value - Texte brut
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Période d'un catalogue saisonnier (ex: 01/12 → 06/01)
+ *
+ * @param {{from: string, to: string}} season - Fenêtre MM-JJ
+ * @returns {string}
+ */
+function formatSeason({ from, to }) {
+    const day = value => value.split('-').reverse().join('/');
+    return `${day(from)} → ${day(to)}`;
+}
+
+/**
+ * Champs des seuils d'un catalogue (note et votes minimum)
+ *
+ * Le fichier de catalogues fournit les valeurs par défaut (affichées en indication).
+ *
+ * @param {Object} catalog - Catalogue (filters du fichier)
+ * @param {{minRating?: number, minVotes?: number}} thresholds - Seuils de la config
+ * @returns {string} HTML
+ */
+function renderThresholds(catalog, thresholds = {}) {
+    const value = key => (thresholds[key] !== undefined ? escapeHtml(thresholds[key]) : '');
+    const hint = (key, label) => escapeHtml(catalog.filters[key] !== undefined ? `${label} ${catalog.filters[key]}` : label);
+
+    return `<input type="number" class="min-rating" min="0" max="10" step="0.5" title="Note minimum" placeholder="${hint('minRating', 'Note ≥')}" value="${value('minRating')}">`
+        + `<input type="number" class="min-votes" min="0" step="10" title="Votes minimum" placeholder="${hint('minVotes', 'Votes ≥')}" value="${value('minVotes')}">`;
+}
+
+/**
+ * Cases à cocher des plateformes (celles déjà choisies en premier)
+ *
+ * Les plateformes choisies absentes de la liste TMDB (autre région, TMDB
+ * indisponible) restent affichées par leur ID pour ne pas être perdues.
+ *
+ * @param {Array<{id: number, name: string}>} providers - Plateformes de la région
+ * @param {number[]} selected - IDs choisis
+ * @returns {string} HTML
+ */
+function renderProviders(providers, selected) {
+    const byId = new Map(providers.map(provider => [provider.id, provider]));
+    const chosen = selected.map(id => byId.get(id) || { id, name: `#${id}` });
+    const others = providers.filter(provider => !selected.includes(provider.id));
+
+    return [...chosen, ...others].map(({ id, name }) => `
+            <label><input type="checkbox" class="provider" value="${id}" ${selected.includes(id) ? 'checked' : ''}>${escapeHtml(name)}</label>`).join('');
+}
+
+/**
+ * Génère les options d'une liste déroulante
+ *
+ * @param {Object<string, string>} choices - Valeur -> libellé
+ * @param {string} selected - Valeur sélectionnée
+ * @returns {string} HTML
+ */
+function renderOptions(choices, selected) {
+    return Object.entries(choices)
+        .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+        .join('');
+}
+
+/**
+ * Génère la page de configuration
+ *
+ * @param {Object} options
+ * @param {Object} options.manifest - Manifest de base
+ * @param {Array<{id: string, name: string, type: string, season: Object|null, tunable: boolean, filters: Object}>} options.catalogs
+ *   Catalogues disponibles
+ * @param {Object} options.config - Config normalisée actuelle (pré-remplissage, voir lib/config.js)
+ * @param {Array<{id: number, name: string}>} options.providers - Plateformes de la région de la config
+ * @returns {string} HTML
+ */
+function renderConfigurePage({ manifest, catalogs, config, providers = [] }) {
+    // Catalogues activés d'abord (dans l'ordre choisi), puis les autres
+    const enabled = config.catalogs
+        .map(id => catalogs.find(c => c.id === id))
+        .filter(Boolean);
+    const disabled = catalogs.filter(c => !config.catalogs.includes(c.id));
+
+    const rows = [...enabled, ...disabled].map(catalog => `
+            <li data-id="${escapeHtml(catalog.id)}">
+                <input type="checkbox" class="enabled" ${config.catalogs.includes(catalog.id) ? 'checked' : ''}>
+                <span class="type">${catalog.type === 'movie' ? 'Film' : 'Série'}</span>
+                <input type="text" class="name" placeholder="${escapeHtml(catalog.name)}" value="${escapeHtml(config.names[catalog.id] || '')}">
+                ${catalog.tunable ? renderThresholds(catalog, config.thresholds[catalog.id]) : ''}
+                ${catalog.season ? `<span class="season" title="Visible uniquement pendant cette période">${escapeHtml(formatSeason(catalog.season))}</span>` : ''}
+                <button type="button" class="up" title="Monter">▲</button>
+                <button type="button" class="down" title="Descendre">▼</button>
+            </li>`).join('');
+
+    const languages = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { label }]) => [code, label]));
+    const sizes = Object.fromEntries(Object.entries(IMAGE_SIZES).map(([size, { label }]) => [size, label]));
+    const access = Object.fromEntries(Object.entries(PROVIDER_ACCESS).map(([key, { label }]) => [key, label]));
+    const ratings = {
+        '': 'Aucune limite',
+        ...Object.fromEntries(Object.entries(CONTENT_RATINGS).map(([rating, { label }]) => [rating, label]))
+    };
+    const defaultRegions = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { region }]) => [code, region]));
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(manifest.name)} - Configuration</title>
+    <style>
+        body { font-family: sans-serif; background: #141414; color: #eee; max-width: 720px; margin: 0 auto; padding: 24px; }
+        h1 { margin-bottom: 4px; }
+        ul { list-style: none; padding: 0; }
+        li { display: flex; align-items: center; gap: 8px; padding: 6px 0; border-bottom: 1px solid #333; }
+        li .type { width: 48px; font-size: 12px; color: #aaa; }
+        li .season { font-size: 12px; color: #aaa; white-space: nowrap; }
+        li .name { flex: 1; padding: 6px; background: #222; color: #eee; border: 1px solid #444; }
+        li .min-rating, li .min-votes { width: 72px; padding: 6px; background: #222; color: #eee; border: 1px solid #444; }
+        button { background: #333; color: #eee; border: 1px solid #555; padding: 6px 10px; cursor: pointer; }
+        .actions { display: flex; gap: 12px; margin-top: 24px; }
+        .actions a, .actions button { padding: 12px 20px; font-size: 16px; }
+        .actions a { background: #8a5aab; color: #fff; text-decoration: none; }
+        .options { display: flex; gap: 16px; margin-bottom: 12px; }
+        .options a { color: #8a5aab; }
+        .options input, .options select { margin-left: 6px; padding: 6px; background: #222; color: #eee; border: 1px solid #444; }
+        #providers { display: flex; flex-wrap: wrap; gap: 6px 16px; max-height: 180px; overflow-y: auto; padding: 8px; border: 1px solid #333; }
+        #providers label { white-space: nowrap; }
+        #favorites { width: 100%; padding: 6px; background: #222; color: #eee; border: 1px solid #444; }
+        #url { width: 100%; margin-top: 12px; padding: 6px; background: #222; color: #aaa; border: 1px solid #444; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(manifest.name)}</h1>
+    <p>${escapeHtml(manifest.description)}</p>
+    <div class="options">
+        <label>Langue<select id="language">${renderOptions(languages, config.language)}</select></label>
+        <label>Région<select id="region">${renderOptions(REGIONS, config.region)}</select></label>
+    </div>
+    <p>Titres, résumés, genres et noms des catalogues suivent la langue ; sorties cinéma et plateformes suivent la région.</p>
+    <div class="options">
+        <label>Visuels<select id="artwork">${renderOptions(ARTWORK_SOURCES, config.artwork)}</select></label>
+        <label>Taille<select id="imageSize">${renderOptions(sizes, config.imageSize)}</select></label>
+    </div>
+    <div class="options">
+        <label>Affiches avec notes (clé <a href="https://ratingposterdb.com">RatingPosterDB</a>, facultatif)<input type="text" id="rpdbKey" value="${escapeHtml(config.rpdbKey || '')}"></label>
+    </div>
+    <div class="options">
+        <label>Classification maximale<select id="maxRating">${renderOptions(ratings, config.maxRating || '')}</select></label>
+        <label>Mots-clés exclus (IDs <a href="https://www.themoviedb.org/keyword">TMDB</a>)<input type="text" id="excludedKeywords" placeholder="séparés par des virgules" value="${escapeHtml(config.excludedKeywords.join(', '))}"></label>
+    </div>
+    <p>La classification française s'applique à tous les catalogues de films et de séries ; les films sans classification française sont alors masqués, les séries sans classification aussi pour Tous publics et Moins de 10 ans.</p>
+
+    <p>Le catalogue "Mes plateformes" réunit les titres disponibles sur au moins une des plateformes cochées
+    (liste de la région choisie, la page se recharge si la région change).</p>
+    <div class="options">
+        <label>Accès<select id="providerAccess">${renderOptions(access, config.providerAccess)}</select></label>
+    </div>
+    <div id="providers">${renderProviders(providers, config.providers)}
+    </div>
+
+    <p>Les catalogues "Parce que vous avez aimé…" proposent des titres proches de vos favoris :
+    collez leurs IDs ou liens IMDb (films et séries, ex: tt0137523).</p>
+    <textarea id="favorites" rows="3" placeholder="https://www.imdb.com/title/tt0137523/">${escapeHtml(config.favorites.join('\n'))}</textarea>
+
+    <p>Cochez les catalogues à afficher, réordonnez-les et renommez-les si besoin.
+    Note et votes minimum (facultatifs) remplacent ceux du catalogue ; les tris par note gardent un minimum de votes.</p>
+
+    <ul id="catalogs">${rows}
+    </ul>
+
+    <div class="actions">
+        <a id="install" href="#">Installer dans Stremio</a>
+        <button type="button" id="copy">Copier le lien</button>
+    </div>
+    <input type="text" id="url" readonly>
+
+    <script>
+        const list = document.getElementById('catalogs');
+        const language = document.getElementById('language');
+        const region = document.getElementById('region');
+        const defaultRegions = ${JSON.stringify(defaultRegions)};
+
+        function buildConfig() {
+            const config = {
+                catalogs: [],
+                names: {},
+                thresholds: {},
+                providers: [...document.querySelectorAll('.provider:checked')].map(input => Number(input.value)),
+                providerAccess: document.getElementById('providerAccess').value,
+                favorites: [...new Set(document.getElementById('favorites').value.match(/tt[0-9]+/g) || [])],
+                language: language.value,
+                region: region.value,
+                artwork: document.getElementById('artwork').value,
+                imageSize: document.getElementById('imageSize').value
+            };
+            const rpdbKey = document.getElementById('rpdbKey').value.trim();
+            if (rpdbKey) config.rpdbKey = rpdbKey;
+            const maxRating = document.getElementById('maxRating').value;
+            if (maxRating) config.maxRating = maxRating;
+            const excludedKeywords = document.getElementById('excludedKeywords').value
+                .split(/[^0-9]+/).filter(Boolean).map(Number);
+            if (excludedKeywords.length) config.excludedKeywords = excludedKeywords;
+            for (const item of list.querySelectorAll('li')) {
+                const id = item.dataset.id;
+                const name = item.querySelector('.name').value.trim();
+                if (item.querySelector('.enabled').checked) config.catalogs.push(id);
+                if (name) config.names[id] = name;
+                const thresholds = {};
+                const minRating = item.querySelector('.min-rating');
+                const minVotes = item.querySelector('.min-votes');
+                if (minRating && minRating.value !== '') thresholds.minRating = Number(minRating.value);
+                if (minVotes && minVotes.value !== '') thresholds.minVotes = Number(minVotes.value);
+                if (Object.keys(thresholds).length) config.thresholds[id] = thresholds;
+            }
+            return config;
+        }
+
+        function update() {
+            const segment = encodeURIComponent(JSON.stringify(buildConfig()));
+            const url = window.location.host + '/' + segment + '/manifest.json';
+            document.getElementById('install').href = 'stremio://' + url;
+            document.getElementById('url').value = window.location.protocol + '//' + url;
+        }
+
+        list.addEventListener('click', (event) => {
+            const item = event.target.closest('li');
+            if (event.target.classList.contains('up') && item.previousElementSibling) {
+                list.insertBefore(item, item.previousElementSibling);
+            } else if (event.target.classList.contains('down') && item.nextElementSibling) {
+                list.insertBefore(item.nextElementSibling, item);
+            }
+            update();
+        });
+        list.addEventListener('input', update);
+        // Les plateformes proposées dépendent de la région : la page est rechargée avec la config en cours
+        function reload() {
+            window.location.href = '/' + encodeURIComponent(JSON.stringify(buildConfig())) + '/configure';
+        }
+
+        language.addEventListener('change', () => {
+            region.value = defaultRegions[language.value];
+            reload();
+        });
+        region.addEventListener('change', reload);
+        document.getElementById('providers').addEventListener('change', update);
+        for (const id of ['artwork', 'imageSize', 'rpdbKey', 'maxRating', 'excludedKeywords', 'providerAccess', 'favorites']) {
+            document.getElementById(id).addEventListener('input', update);
+        }
+        document.getElementById('copy').addEventListener('click', () => {
+            navigator.clipboard.writeText(document.getElementById('url').value);
+        });
+
+        update();
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = { renderConfigurePage };
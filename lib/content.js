@@ -0,0 +1,139 @@
+/**
+ * Filtre de contenu (contrôle parental)
+ *
+ * @description Classification française maximale et mots-clés exclus, choisis par
+ * installation. Les catalogues discover transmettent le filtre à TMDB
+ * (certification.lte pour les films, without_keywords) ; les autres listes
+ * (tendances, classements, sorties, recherche) et la classification des séries
+ * discover, que TMDB ne sait pas filtrer, sont vérifiées titre par titre.
+ * Titres sans classification française, dès qu'une classification maximale est choisie :
+ * - films : écartés (TMDB discover ne sait pas les garder avec certification.lte) ;
+ * - séries : gardées à partir de -12 (unratedSeries), écartées pour TP et -10. Peu de
+ *   séries étrangères (K-dramas, anime...) sont classées en France : les écarter
+ *   viderait ces catalogues, alors que pour les plus jeunes le doute doit masquer le titre.
+ */
+
+const { CERTIFICATIONS, FILTERS } = require('./discover');
+
+/**
+ * Classifications maximales proposées
+ *
+ * rank : position dans CERTIFICATIONS (U/TP, 10, 12, 16, 18)
+ * unratedSeries : séries sans classification française gardées
+ */
+const CONTENT_RATINGS = {
+    TP: { label: 'Tous publics', rank: 0, unratedSeries: false },
+    '-10': { label: 'Moins de 10 ans', rank: 1, unratedSeries: false },
+    '-12': { label: 'Moins de 12 ans', rank: 2, unratedSeries: true },
+    '-16': { label: 'Moins de 16 ans', rank: 3, unratedSeries: true }
+};
+
+// Mots-clés exclus par installation (maximum)
+const MAX_EXCLUDED_KEYWORDS = 20;
+
+/**
+ * Construit un filtre de contenu
+ *
+ * @param {Object} options
+ * @param {string|null} options.maxRating - Clé de CONTENT_RATINGS (null : pas de limite)
+ * @param {number[]} options.excludedKeywords - IDs de mots-clés TMDB
+ * @returns {{maxRating: string|null, excludedKeywords: number[]}|null} null sans restriction
+ */
+function createContentFilter({ maxRating = null, excludedKeywords = [] } = {}) {
+    const rating = Object.hasOwn(CONTENT_RATINGS, maxRating) ? maxRating : null;
+    const keywords = [...new Set(excludedKeywords.filter(FILTERS.withoutKeywords.item))].sort((a, b) => a - b);
+
+    if (!rating && !keywords.length) return null;
+    return { maxRating: rating, excludedKeywords: keywords };
+}
+
+/**
+ * Clé stable d'un filtre (préfixe de cache)
+ *
+ * @param {Object|null} contentFilter - Filtre de createContentFilter
+ * @returns {string} Vide sans filtre
+ */
+function contentFilterKey(contentFilter) {
+    if (!contentFilter) return '';
+    return `${contentFilter.maxRating || 'all'}~${contentFilter.excludedKeywords.join('.')}`;
+}
+
+/**
+ * Ajoute le filtre à des filtres discover
+ *
+ * La classification n'est transmise que pour les films : pour les séries, elle
+ * reste à vérifier titre par titre (voir needsScreening).
+ *
+ * @param {string} type - movie ou series
+ * @param {Object} filters - Filtres du catalogue
+ * @param {Object|null} contentFilter - Filtre de createContentFilter
+ * @returns {Object} Nouveaux filtres
+ */
+function applyContentFilter(type, filters, contentFilter) {
+    if (!contentFilter) return filters;
+
+    const result = { ...filters };
+
+    if (contentFilter.maxRating && type === 'movie') {
+        const rank = CONTENT_RATINGS[contentFilter.maxRating].rank;
+        const current = CERTIFICATIONS[type].indexOf(filters.maxCertification);
+        result.maxCertification = CERTIFICATIONS[type][current >= 0 ? Math.min(current, rank) : rank];
+    }
+
+    if (contentFilter.excludedKeywords.length) {
+        const current = filters.withoutKeywords
+            ? (Array.isArray(filters.withoutKeywords) ? filters.withoutKeywords : filters.withoutKeywords.all || [])
+            : [];
+        result.withoutKeywords = [...current, ...contentFilter.excludedKeywords];
+    }
+
+    return result;
+}
+
+/**
+ * Indique si des résultats discover doivent encore être vérifiés titre par titre
+ *
+ * @param {string} type - movie ou series
+ * @param {Object|null} contentFilter - Filtre de createContentFilter
+ * @returns {boolean}
+ */
+function needsScreening(type, contentFilter) {
+    return type === 'series' && Boolean(contentFilter?.maxRating);
+}
+
+/**
+ * Indique si un titre passe le filtre
+ *
+ * Titre sans classification française : voir l'en-tête du module.
+ *
+ * @param {string} type - movie ou series
+ * @param {{adult: boolean, certification: string|null, keywords: number[]}} facts - Infos du titre
+ * @param {Object|null} contentFilter - Filtre de createContentFilter
+ * @returns {boolean}
+ */
+function isAllowed(type, facts, contentFilter) {
+    if (facts.adult) return false;
+    if (!contentFilter) return true;
+
+    if (contentFilter.maxRating) {
+        const limit = CONTENT_RATINGS[contentFilter.maxRating];
+        if (!facts.certification) {
+            if (type !== 'series' || !limit.unratedSeries) return false;
+        } else {
+            const rank = CERTIFICATIONS[type].indexOf(facts.certification);
+            if (rank < 0 || rank > limit.rank) return false;
+        }
+    }
+
+    return !facts.keywords.some(id => contentFilter.excludedKeywords.includes(id));
+}
+
+module.exports = {
+    CONTENT_RATINGS,
+    MAX_EXCLUDED_KEYWORDS,
+    createContentFilter,
+    contentFilterKey,
+    applyContentFilter,
+    needsScreening,
+    isAllowed
+};
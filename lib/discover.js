@@ -0,0 +1,322 @@
+/**
+ * Filtres discover
+ *
+ * @description Noms de filtres lisibles (originCountries, minVotes...) traduits
+ * en paramètres /discover TMDB, avec validation et clé de cache stable.
+ *
+ * Les filtres de liste acceptent un tableau (sémantique par défaut du filtre)
+ * ou un objet explicite : { any: [...] } = au moins un (séparateur TMDB `|`),
+ * { all: [...] } = tous (séparateur TMDB `,`).
+ */
+
+// Tris acceptés par /discover, selon le type
+const SORTS = {
+    movie: [
+        'popularity.desc', 'popularity.asc',
+        'vote_average.desc', 'vote_average.asc',
+        'vote_count.desc', 'vote_count.asc',
+        'primary_release_date.desc', 'primary_release_date.asc',
+        'revenue.desc'
+    ],
+    series: [
+        'popularity.desc', 'popularity.asc',
+        'vote_average.desc', 'vote_average.asc',
+        'vote_count.desc', 'vote_count.asc',
+        'first_air_date.desc', 'first_air_date.asc'
+    ]
+};
+
+// Types d'accès aux plateformes (abonnement, gratuit, avec pub, location, achat)
+const MONETIZATION_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+
+// Votes minimum imposés aux tris par note (un titre noté 10 par une seule personne ne passe pas en tête)
+const RATING_SORT_MIN_VOTES = 30;
+
+// Séparateurs TMDB
+const SEPARATORS = { any: '|', all: ',' };
+
+// Classifications françaises TMDB, de la plus permissive à la plus restrictive
+const CERTIFICATIONS = {
+    movie: ['U', '10', '12', '16', '18'],
+    series: ['TP', '10', '12', '16', '18']
+};
+
+const isId = v => Number.isInteger(v) && v > 0;
+const isCountry = v => typeof v === 'string' && /^[A-Z]{2}$/.test(v);
+const isDate = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v));
+const isCount = v => Number.isInteger(v) && v >= 0;
+const isRating = v => typeof v === 'number' && v >= 0 && v <= 10;
+
+// Champ de date selon le type (films : sortie, séries : première diffusion)
+const dateField = type => (type === 'movie' ? 'release_date' : 'first_air_date');
+
+/**
+ * Filtres disponibles
+ *
+ * Filtres de liste : item (validation d'un élément), mode (any/all par défaut),
+ * modes (modes autorisés), param (paramètre TMDB).
+ * Filtres simples : valid, expected (message d'erreur), toParams.
+ */
+const FILTERS = {
+    originCountries: {
+        item: isCountry, expected: 'codes pays ISO (ex: KR, JP)',
+        mode: 'any', modes: ['any'], param: 'with_origin_country'
+    },
+    withGenres: {
+        item: isId, expected: 'IDs de genres TMDB',
+        mode: 'all', modes: ['any', 'all'], param: 'with_genres'
+    },
+    withoutGenres: {
+        item: isId, expected: 'IDs de genres TMDB',
+        mode: 'all', modes: ['all'], param: 'without_genres'
+    },
+    keywords: {
+        item: isId, expected: 'IDs de mots-clés TMDB',
+        mode: 'any', modes: ['any', 'all'], param: 'with_keywords'
+    },
+    withoutKeywords: {
+        item: isId, expected: 'IDs de mots-clés TMDB',
+        mode: 'all', modes: ['all'], param: 'without_keywords'
+    },
+    providers: {
+        item: isId, expected: 'IDs de plateformes TMDB',
+        mode: 'any', modes: ['any', 'all'], param: 'with_watch_providers'
+    },
+    monetization: {
+        item: v => MONETIZATION_TYPES.includes(v), expected: `types d'accès TMDB (${MONETIZATION_TYPES.join(', ')})`,
+        mode: 'any', modes: ['any'], param: 'with_watch_monetization_types'
+    },
+    region: {
+        valid: isCountry,
+        expected: 'code pays ISO des plateformes (ex: FR)',
+        toParams: v => ({ watch_region: v })
+    },
+    releasedAfter: {
+        valid: isDate,
+        expected: 'date AAAA-MM-JJ',
+        toParams: (v, type) => ({ [`${dateField(type)}.gte`]: v })
+    },
+    releasedBefore: {
+        valid: isDate,
+        expected: 'date AAAA-MM-JJ',
+        toParams: (v, type) => ({ [`${dateField(type)}.lte`]: v })
+    },
+    minVotes: {
+        valid: isCount,
+        expected: 'entier positif',
+        toParams: v => ({ 'vote_count.gte': v })
+    },
+    maxVotes: {
+        valid: isCount,
+        expected: 'entier positif',
+        toParams: v => ({ 'vote_count.lte': v })
+    },
+    minRating: {
+        valid: isRating,
+        expected: 'note entre 0 et 10',
+        toParams: v => ({ 'vote_average.gte': v })
+    },
+    // /discover/tv ignore les paramètres de classification : films uniquement
+    maxCertification: {
+        valid: (v, type) => type === 'movie' && CERTIFICATIONS.movie.includes(v),
+        expected: 'classification française de film (U, 10, 12, 16, 18 ; films uniquement)',
+        toParams: v => ({ certification_country: 'FR', 'certification.lte': v })
+    },
+    sort: {
+        valid: (v, type) => (SORTS[type] || []).includes(v),
+        expected: 'tri discover (ex: popularity.desc, vote_average.desc)',
+        toParams: v => ({ sort_by: v })
+    }
+};
+
+/**
+ * Filtres invalides passés à discover()
+ */
+class InvalidFiltersError extends Error {
+    /**
+     * @param {string[]} errors - Erreurs détaillées
+     */
+    constructor(errors) {
+        super(`Filtres discover invalides: ${errors.join('; ')}`);
+        this.name = 'InvalidFiltersError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Décompose la valeur d'un filtre de liste
+ *
+ * @param {Object} filter - Définition du filtre
+ * @param {Array|Object} value - Tableau, { any: [...] } ou { all: [...] }
+ * @returns {{mode: string, items: Array}|null} null si la forme est invalide
+ */
+function readList(filter, value) {
+    if (Array.isArray(value)) {
+        return { mode: filter.mode, items: value };
+    }
+
+    if (value && typeof value === 'object') {
+        const modes = Object.keys(value);
+        if (modes.length === 1 && SEPARATORS[modes[0]] && Array.isArray(value[modes[0]])) {
+            return { mode: modes[0], items: value[modes[0]] };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Valide des filtres discover
+ *
+ * @param {Object} filters - Filtres (noms lisibles)
+ * @param {string} type - movie ou series
+ * @returns {string[]} Erreurs (vide si valide)
+ */
+function validateFilters(filters, type) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+        return ['objet de filtres attendu'];
+    }
+
+    const errors = [];
+    for (const [name, value] of Object.entries(filters)) {
+        const filter = FILTERS[name];
+
+        if (!filter) {
+            errors.push(`${name}: filtre inconnu (disponibles: ${Object.keys(FILTERS).join(', ')})`);
+            continue;
+        }
+
+        if (!filter.param) {
+            if (!filter.valid(value, type)) {
+                errors.push(`${name}: ${filter.expected} attendu, reçu ${JSON.stringify(value)}`);
+            }
+            continue;
+        }
+
+        const list = readList(filter, value);
+        if (!list || !list.items.length || !list.items.every(filter.item)) {
+            errors.push(`${name}: liste non vide de ${filter.expected} attendue, reçu ${JSON.stringify(value)}`);
+        } else if (!filter.modes.includes(list.mode)) {
+            errors.push(`${name}: mode "${list.mode}" non supporté (${filter.modes.join(', ')})`);
+        }
+    }
+
+    for (const name of ['region', 'monetization']) {
+        if (filters[name] && !filters.providers) {
+            errors.push(`${name}: uniquement avec providers`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Traduit des filtres validés en paramètres /discover
+ *
+ * Les éléments de liste sont triés pour qu'un même ensemble donne toujours
+ * les mêmes paramètres (et donc la même clé de cache). Les tris par note
+ * reçoivent au moins RATING_SORT_MIN_VOTES votes minimum.
+ *
+ * @param {string} type - movie ou series
+ * @param {Object} filters - Filtres (noms lisibles)
+ * @returns {Object} Paramètres TMDB
+ */
+function toDiscoverParams(type, filters) {
+    const params = {};
+
+    for (const [name, value] of Object.entries(filters)) {
+        const filter = FILTERS[name];
+
+        if (filter.param) {
+            const { mode, items } = readList(filter, value);
+            params[filter.param] = [...new Set(items)].sort().join(SEPARATORS[mode]);
+        } else {
+            Object.assign(params, filter.toParams(value, type));
+        }
+    }
+
+    // Les plateformes dépendent d'une région (France par défaut)
+    if (params.with_watch_providers && !params.watch_region) {
+        params.watch_region = 'FR';
+    }
+
+    if (params.sort_by?.startsWith('vote_average') && !(params['vote_count.gte'] >= RATING_SORT_MIN_VOTES)) {
+        params['vote_count.gte'] = RATING_SORT_MIN_VOTES;
+    }
+
+    return params;
+}
+
+/**
+ * Ajoute un genre obligatoire à des filtres existants (genre choisi dans Stremio)
+ *
+ * "(A ou B) et G" ne s'exprime pas en un seul with_genres : TMDB reçoit G seul et
+ * la liste du catalogue est renvoyée dans anyGenres, à vérifier sur les résultats.
+ *
+ * @param {Object} filters - Filtres du catalogue
+ * @param {number} genreId - ID du genre TMDB
+ * @returns {{filters: Object, anyGenres: number[]|null}} Nouveaux filtres ; anyGenres :
+ *   genres dont les résultats doivent avoir au moins un (null si TMDB s'en charge)
+ */
+function addGenre(filters, genreId) {
+    if (!filters.withGenres) {
+        return { filters: { ...filters, withGenres: [genreId] }, anyGenres: null };
+    }
+
+    const { mode, items } = readList(FILTERS.withGenres, filters.withGenres);
+    if (mode === 'all') {
+        return { filters: { ...filters, withGenres: { all: [...items, genreId] } }, anyGenres: null };
+    }
+
+    // Genre choisi parmi ceux du catalogue : "(A ou B) et A" = A
+    if (items.includes(genreId)) {
+        return { filters: { ...filters, withGenres: { all: [genreId] } }, anyGenres: null };
+    }
+    return { filters: { ...filters, withGenres: { all: [genreId] } }, anyGenres: items };
+}
+
+/**
+ * Genres imposés et exclus par des filtres (options du sélecteur de genre Stremio)
+ *
+ * @param {Object} filters - Filtres validés
+ * @returns {{required: number[], excluded: number[]}} required : withGenres en mode all
+ */
+function genreConstraints(filters) {
+    const withGenres = filters.withGenres ? readList(FILTERS.withGenres, filters.withGenres) : null;
+
+    return {
+        required: withGenres?.mode === 'all' ? withGenres.items : [],
+        excluded: filters.withoutGenres ? readList(FILTERS.withoutGenres, filters.withoutGenres).items : []
+    };
+}
+
+/**
+ * Clé de cache stable pour une requête discover
+ *
+ * @param {string} type - movie ou series
+ * @param {Object} params - Paramètres TMDB
+ * @param {number} page - Page TMDB
+ * @returns {string}
+ */
+function discoverCacheKey(type, params, page) {
+    const query = Object.keys(params)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+
+    return `discover_${type}_${query}_${page}`;
+}
+
+module.exports = {
+    FILTERS,
+    SORTS,
+    CERTIFICATIONS,
+    MONETIZATION_TYPES,
+    RATING_SORT_MIN_VOTES,
+    InvalidFiltersError,
+    validateFilters,
+    toDiscoverParams,
+    addGenre,
+    genreConstraints,
+    discoverCacheKey
+};
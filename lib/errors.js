@@ -0,0 +1,69 @@
+/**
+ * Erreurs TMDB typées
+ *
+ * @description Permet aux appelants de distinguer une clé invalide, un contenu
+ * introuvable et une panne passagère (timeout, 429, 5xx)
+ */
+
+/**
+ * Erreur TMDB générique
+ */
+class TMDBError extends Error {
+    /**
+     * @param {string} message - Message (sans clé API)
+     * @param {Object} details
+     * @param {string} details.endpoint - Endpoint appelé
+     * @param {number} [details.status] - Code HTTP (absent si pas de réponse)
+     */
+    constructor(message, { endpoint, status } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.endpoint = endpoint;
+        this.status = status;
+    }
+}
+
+/**
+ * Clé API refusée (401/403) : inutile de réessayer
+ */
+class TMDBAuthError extends TMDBError {}
+
+/**
+ * Ressource inexistante (404)
+ */
+class TMDBNotFoundError extends TMDBError {}
+
+/**
+ * Panne passagère (timeout, réseau, 429, 5xx) : peut être réessayée
+ */
+class TMDBTransientError extends TMDBError {}
+
+/**
+ * Crée l'erreur correspondant à un code HTTP
+ *
+ * @param {number} status - Code HTTP
+ * @param {string} endpoint - Endpoint appelé
+ * @returns {TMDBError}
+ */
+function errorFromStatus(status, endpoint) {
+    const message = `TMDB API error: ${status} (${endpoint})`;
+
+    if (status === 401 || status === 403) {
+        return new TMDBAuthError(message, { endpoint, status });
+    }
+    if (status === 404) {
+        return new TMDBNotFoundError(message, { endpoint, status });
+    }
+    if (status === 429 || status >= 500) {
+        return new TMDBTransientError(message, { endpoint, status });
+    }
+    return new TMDBError(message, { endpoint, status });
+}
+
+module.exports = {
+    TMDBError,
+    TMDBAuthError,
+    TMDBNotFoundError,
+    TMDBTransientError,
+    errorFromStatus
+};
@@ -0,0 +1,127 @@
+/**
+ * Fixtures TMDB (enregistrement / rejeu)
+ *
+ * @description Enregistre les vraies réponses TMDB dans des fichiers JSON puis
+ * les rejoue sans réseau : développement hors ligne et tests de bout en bout.
+ * Une requête est identifiée par son endpoint et ses paramètres, sans la clé API.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Response } = require('node-fetch');
+const { createLogger } = require('./logger');
+
+const log = createLogger('Fixtures');
+
+// Modes disponibles (TMDB_FIXTURES)
+const MODES = ['record', 'replay'];
+
+// Statuts enregistrés : les erreurs passagères (429, 5xx) ne sont pas figées
+const isRecordable = status => (status >= 200 && status < 300) || status === 404;
+
+/**
+ * Fichiers de réponses TMDB
+ */
+class FixtureStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dir - Dossier des fixtures
+     * @param {string} options.mode - record ou replay
+     */
+    constructor({ dir, mode }) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Mode de fixtures inconnu: ${mode} (disponibles: ${MODES.join(', ')})`);
+        }
+
+        this.dir = dir;
+        this.mode = mode;
+    }
+
+    /**
+     * Identifie une requête
+     *
+     * @param {string} endpoint - Endpoint API (/discover/tv)
+     * @param {URLSearchParams} params - Paramètres (api_key ignoré)
+     * @returns {{request: string, file: string}}
+     */
+    locate(endpoint, params) {
+        const query = [...params]
+            .filter(([key]) => key !== 'api_key')
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([key, value]) => `${key}=${value}`)
+            .join('&');
+        const request = query ? `${endpoint}?${query}` : endpoint;
+        const hash = crypto.createHash('sha1').update(request).digest('hex').slice(0, 12);
+        const name = endpoint.replace(/^\//, '').replace(/[^\w-]+/g, '_');
+
+        return { request, file: path.join(this.dir, `${name}-${hash}.json`) };
+    }
+
+    /**
+     * Lit la réponse enregistrée d'une requête
+     *
+     * @param {string} endpoint - Endpoint API
+     * @param {URLSearchParams} params - Paramètres
+     * @returns {{status: number, body: Object}|null} null si absente
+     */
+    read(endpoint, params) {
+        const { request, file } = this.locate(endpoint, params);
+
+        try {
+            const { status, body } = JSON.parse(fs.readFileSync(file, 'utf8'));
+            return { status, body };
+        } catch (error) {
+            log.warn(`Fixture absente: ${request}`);
+            return null;
+        }
+    }
+
+    /**
+     * Réponse HTTP rejouée (404 TMDB si la fixture est absente)
+     *
+     * @param {string} url - URL complète de la requête
+     * @param {string} endpoint - Endpoint API
+     * @returns {Response}
+     */
+    replay(url, endpoint) {
+        const fixture = this.read(endpoint, new URL(url).searchParams)
+            || { status: 404, body: { success: false, status_message: 'Fixture absente' } };
+
+        return new Response(JSON.stringify(fixture.body), {
+            status: fixture.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    /**
+     * Enregistre une réponse réelle et la renvoie intacte
+     *
+     * @param {string} url - URL complète de la requête
+     * @param {string} endpoint - Endpoint API
+     * @param {Response} response - Réponse TMDB
+     * @returns {Promise<Response>}
+     */
+    async record(url, endpoint, response) {
+        if (!isRecordable(response.status)) return response;
+
+        const text = await response.text();
+        const { request, file } = this.locate(endpoint, new URL(url).searchParams);
+
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.writeFile(file, JSON.stringify({
+                request,
+                status: response.status,
+                body: JSON.parse(text)
+            }, null, 2));
+            log.debug(`Fixture enregistrée: ${request}`);
+        } catch (error) {
+            log.error(`Fixture non enregistrée ${request}: ${error.message}`);
+        }
+
+        return new Response(text, { status: response.status, headers: response.headers });
+    }
+}
+
+module.exports = { FixtureStore, MODES };
@@ -0,0 +1,134 @@
+/**
+ * Journalisation
+ *
+ * @description Logs par niveau (LOG_LEVEL), en texte `[Tag] message` ou en JSON
+ * (LOG_FORMAT=json), avec l'identifiant de la requête HTTP en cours (propagé par
+ * AsyncLocalStorage jusqu'aux lectures de cache et appels TMDB). La clé API TMDB
+ * est masquée dans toutes les lignes écrites.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Identifiant de requête reçu dans X-Request-Id (sinon généré)
+const REQUEST_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Secrets plus courts ignorés (ils masqueraient du texte ordinaire)
+const MIN_SECRET_LENGTH = 8;
+
+const settings = {
+    level: LEVELS.info,
+    json: false,
+    secrets: []
+};
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Configure la journalisation (au démarrage)
+ *
+ * @param {Object} options
+ * @param {string} [options.level] - error, warn, info (défaut) ou debug
+ * @param {string} [options.format] - text (défaut) ou json
+ * @param {string[]} [options.secrets] - Valeurs à masquer (clé API...)
+ * @throws {Error} Niveau ou format inconnu
+ */
+function configureLogger({ level = 'info', format = 'text', secrets = [] } = {}) {
+    if (!Object.hasOwn(LEVELS, level)) {
+        throw new Error(`LOG_LEVEL inconnu: ${level} (disponibles: ${Object.keys(LEVELS).join(', ')})`);
+    }
+    if (format !== 'text' && format !== 'json') {
+        throw new Error(`LOG_FORMAT inconnu: ${format} (disponibles: text, json)`);
+    }
+
+    settings.level = LEVELS[level];
+    settings.json = format === 'json';
+    settings.secrets = secrets.filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH);
+}
+
+/**
+ * Masque la clé API (paramètre api_key et secrets déclarés)
+ *
+ * @param {string} text - Texte brut
+ * @returns {string}
+ */
+function redact(text) {
+    let result = String(text).replace(/(api_key=)[^&\s"]+/gi, '$1***');
+    for (const secret of settings.secrets) {
+        result = result.split(secret).join('***');
+    }
+    return result;
+}
+
+/**
+ * Identifiant de la requête HTTP en cours
+ *
+ * @returns {string|undefined}
+ */
+function currentRequestId() {
+    return context.getStore()?.requestId;
+}
+
+/**
+ * Middleware express : attribue un identifiant à chaque requête
+ *
+ * L'identifiant est repris de X-Request-Id s'il est valide et renvoyé dans la réponse.
+ */
+function requestContext(req, res, next) {
+    const header = req.get('x-request-id');
+    const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID().slice(0, 8);
+
+    res.setHeader('X-Request-Id', requestId);
+    context.run({ requestId }, next);
+}
+
+/**
+ * Formate les champs supplémentaires en texte (clé=valeur)
+ *
+ * @param {Object} fields - Champs
+ * @returns {string}
+ */
+function formatFields(fields) {
+    return Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => ` ${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join('');
+}
+
+/**
+ * Crée un logger pour un module
+ *
+ * @param {string} tag - Préfixe des lignes (CataloogBP, TMDB, Cache...)
+ * @returns {{error: Function, warn: Function, info: Function, debug: Function}}
+ *   (message, fields) => void ; fields : champs supplémentaires (objet)
+ */
+function createLogger(tag) {
+    const write = (level, message, fields = {}) => {
+        if (LEVELS[level] > settings.level) return;
+
+        const requestId = currentRequestId();
+        const line = settings.json
+            ? JSON.stringify({ time: new Date().toISOString(), level, tag, requestId, message, ...fields })
+            : `[${tag}]${requestId ? ` [${requestId}]` : ''} ${message}${formatFields(fields)}`;
+
+        (LEVELS[level] <= LEVELS.warn ? console.error : console.log)(redact(line));
+    };
+
+    return Object.fromEntries(Object.keys(LEVELS).map(level => [
+        level,
+        (message, fields) => write(level, message, fields)
+    ]));
+}
+
+/**
+ * Indique si les logs sont au format JSON
+ *
+ * @returns {boolean}
+ */
+function isJsonFormat() {
+    return settings.json;
+}
+
+module.exports = { createLogger, configureLogger, requestContext, currentRequestId, redact, isJsonFormat };
@@ -0,0 +1,251 @@
+/**
+ * Métriques Prometheus
+ *
+ * @description Compteurs, jauges et histogrammes minimalistes exposés au format
+ * texte Prometheus sur /metrics. Un registre unique est partagé par les modules.
+ */
+
+// Seuils par défaut des histogrammes de durée (secondes)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Échappe une valeur de label
+ *
+ * @param {string} value - Valeur brute
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formate un ensemble de labels ({a="1",b="2"})
+ *
+ * @param {Object} labels - Labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base commune : séries indexées par leurs labels
+ */
+class Metric {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Nom Prometheus
+     * @param {string} options.help - Description
+     * @param {string[]} options.labels - Noms des labels
+     */
+    constructor({ name, help, labels = [] }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labels;
+        this.series = new Map();
+    }
+
+    /**
+     * Série correspondant à des labels (créée au besoin)
+     *
+     * @param {Object} labels - Valeurs des labels
+     * @param {function(): Object} create - Valeur initiale
+     * @returns {{labels: Object, value: any}}
+     * @protected
+     */
+    _series(labels, create) {
+        const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: values, value: create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * En-têtes HELP/TYPE
+     *
+     * @param {string} type - counter, gauge ou histogram
+     * @returns {string[]}
+     * @protected
+     */
+    _header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+/**
+ * Compteur (valeur croissante)
+ */
+class Counter extends Metric {
+    /**
+     * Incrémente le compteur
+     *
+     * @param {Object} labels - Valeurs des labels
+     * @param {number} value - Incrément (défaut: 1)
+     */
+    inc(labels = {}, value = 1) {
+        this._series(labels, () => 0).value += value;
+    }
+
+    /**
+     * Valeur actuelle
+     *
+     * @param {Object} labels - Valeurs des labels
+     * @returns {number}
+     */
+    get(labels = {}) {
+        return this._series(labels, () => 0).value;
+    }
+
+    /**
+     * @returns {string[]} Lignes Prometheus
+     */
+    render() {
+        return [
+            ...this._header('counter'),
+            ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+        ];
+    }
+}
+
+/**
+ * Jauge (valeur instantanée), fixée par set() ou calculée à la lecture (collect)
+ */
+class Gauge extends Metric {
+    /**
+     * @param {Object} options - Voir Metric
+     * @param {function(Gauge): void} [options.collect] - Met à jour la jauge avant chaque lecture
+     */
+    constructor({ collect, ...options }) {
+        super(options);
+        this.collect = collect;
+    }
+
+    /**
+     * Fixe la valeur
+     *
+     * @param {Object} labels - Valeurs des labels
+     * @param {number} value - Valeur
+     */
+    set(labels, value) {
+        this._series(labels, () => 0).value = value;
+    }
+
+    /**
+     * @returns {string[]} Lignes Prometheus
+     */
+    render() {
+        if (this.collect) this.collect(this);
+
+        return [
+            ...this._header('gauge'),
+            ...[...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`)
+        ];
+    }
+}
+
+/**
+ * Histogramme (répartition de durées)
+ */
+class Histogram extends Metric {
+    /**
+     * @param {Object} options - Voir Metric
+     * @param {number[]} [options.buckets] - Seuils croissants
+     */
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super(options);
+        this.buckets = buckets;
+    }
+
+    /**
+     * Enregistre une observation
+     *
+     * @param {Object} labels - Valeurs des labels
+     * @param {number} value - Valeur observée
+     */
+    observe(labels, value) {
+        const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+        this.buckets.forEach((bucket, index) => {
+            if (value <= bucket) series.value.counts[index]++;
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    /**
+     * Démarre un chronomètre
+     *
+     * @param {Object} labels - Valeurs des labels (complétées à l'arrêt)
+     * @returns {function(Object): void} Arrête le chronomètre et enregistre la durée
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (more = {}) => {
+            this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    /**
+     * @returns {string[]} Lignes Prometheus
+     */
+    render() {
+        const lines = this._header('histogram');
+
+        for (const { labels, value } of this.series.values()) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${value.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+        }
+
+        return lines;
+    }
+}
+
+/**
+ * Registre des métriques exposées
+ */
+class Registry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Enregistre une métrique (ou renvoie celle qui porte déjà ce nom)
+     *
+     * @param {Metric} metric - Métrique
+     * @returns {Metric}
+     */
+    register(metric) {
+        if (!this.metrics.has(metric.name)) {
+            this.metrics.set(metric.name, metric);
+        }
+        return this.metrics.get(metric.name);
+    }
+
+    /**
+     * Texte exposé sur /metrics
+     *
+     * @returns {string}
+     */
+    render() {
+        return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+const registry = new Registry();
+
+module.exports = {
+    registry,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+    counter: options => registry.register(new Counter(options)),
+    gauge: options => registry.register(new Gauge(options)),
+    histogram: options => registry.register(new Histogram(options))
+};
@@ -0,0 +1,56 @@
+/**
+ * Pagination des catalogues
+ *
+ * @description Traduit le `skip` de Stremio en tranche exacte de la liste filtrée.
+ * Les pages TMDB perdent des titres (sans ID IMDb) : on enchaîne autant de pages
+ * que nécessaire au lieu de supposer 20 résultats par page.
+ */
+
+// Nombre de metas renvoyées par réponse
+const PAGE_SIZE = 20;
+
+// Pages TMDB parcourues au maximum pour une requête
+const MAX_PAGES = 50;
+
+// Pages parcourues au maximum quand les titres sont vérifiés un par un (filtre de
+// contenu) : au plus 100 vérifications TMDB par requête, la liste s'arrête au-delà
+const MAX_SCREENED_PAGES = 5;
+
+// Pages vides consécutives (après filtrage) considérées comme fin de liste
+const MAX_EMPTY_PAGES = 2;
+
+/**
+ * Renvoie la tranche [skip, skip + PAGE_SIZE) de la liste filtrée et dédoublonnée
+ *
+ * @param {function(number): Promise<Object[]>} fetchPage - Charge une page TMDB (metas filtrées)
+ * @param {number} skip - Nombre de metas déjà reçues par Stremio
+ * @param {Object} options
+ * @param {number} options.maxPages - Pages TMDB parcourues au maximum (défaut: MAX_PAGES)
+ * @returns {Promise<Object[]>}
+ */
+async function paginate(fetchPage, skip = 0, { maxPages = MAX_PAGES } = {}) {
+    const wanted = skip + PAGE_SIZE;
+    const items = [];
+    const seen = new Set();
+    let emptyPages = 0;
+
+    for (let page = 1; page <= maxPages && items.length < wanted; page++) {
+        const results = await fetchPage(page);
+        let added = 0;
+
+        for (const meta of results) {
+            // Le classement TMDB bouge entre deux pages : un titre peut revenir
+            if (seen.has(meta.id)) continue;
+            seen.add(meta.id);
+            items.push(meta);
+            added++;
+        }
+
+        emptyPages = added ? 0 : emptyPages + 1;
+        if (emptyPages >= MAX_EMPTY_PAGES) break;
+    }
+
+    return items.slice(skip, wanted);
+}
+
+module.exports = { paginate, PAGE_SIZE, MAX_SCREENED_PAGES };
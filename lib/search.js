@@ -0,0 +1,74 @@
+/**
+ * Outils de recherche
+ *
+ * @description Normalisation des requêtes (accents, ponctuation) et score de
+ * correspondance pour tolérer les fautes de frappe ("amelie poulin")
+ */
+
+/**
+ * Normalise un texte : minuscules, sans accents ni ponctuation
+ *
+ * @param {string} text - Texte brut
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Découpe un texte normalisé en trigrammes
+ *
+ * @param {string} text - Texte normalisé
+ * @returns {Set<string>}
+ */
+function trigrams(text) {
+    const padded = `  ${text} `;
+    const result = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+        result.add(padded.substring(i, i + 3));
+    }
+    return result;
+}
+
+/**
+ * Score de correspondance d'une requête avec un titre
+ *
+ * Proportion des trigrammes de la requête présents dans le titre : un titre
+ * long ("Le Fabuleux Destin d'Amélie Poulain") n'est pas pénalisé face à une
+ * requête courte, et une faute de frappe ne fait perdre que quelques trigrammes.
+ *
+ * @param {string} query - Requête
+ * @param {string} title - Titre à comparer
+ * @returns {number} Score entre 0 et 1
+ */
+function matchScore(query, title) {
+    const wanted = trigrams(normalizeText(query));
+    const available = trigrams(normalizeText(title));
+    if (!wanted.size || !available.size) return 0;
+
+    let common = 0;
+    for (const gram of wanted) {
+        if (available.has(gram)) common++;
+    }
+    return common / wanted.size;
+}
+
+/**
+ * Mots significatifs d'une requête, du plus long au plus court
+ *
+ * @param {string} query - Requête brute
+ * @returns {string[]}
+ */
+function keywords(query) {
+    return [...new Set(normalizeText(query).split(' '))]
+        .filter(word => word.length >= 3)
+        .sort((a, b) => b.length - a.length);
+}
+
+module.exports = { normalizeText, matchScore, keywords };
@@ -0,0 +1,117 @@
+/**
+ * Catalogues saisonniers
+ *
+ * @description Fenêtres annuelles (MM-JJ) pendant lesquelles un catalogue apparaît
+ * dans le manifest. Une fenêtre peut passer le nouvel an (12-01 → 01-06).
+ * Les dates suivent le fuseau horaire du serveur (variable TZ).
+ */
+
+const DAY_PATTERN = /^(\d{2})-(\d{2})$/;
+
+// Nombre de jours par mois (29 février accepté)
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Lit un jour de l'année
+ *
+ * @param {string} value - Jour au format MM-JJ
+ * @returns {{month: number, day: number}|null} null si invalide
+ */
+function parseDay(value) {
+    const match = typeof value === 'string' && value.match(DAY_PATTERN);
+    if (!match) return null;
+
+    const month = Number(match[1]);
+    const day = Number(match[2]);
+    if (month < 1 || month > 12 || day < 1 || day > MONTH_DAYS[month - 1]) return null;
+
+    return { month, day };
+}
+
+/**
+ * Valide une fenêtre de saison
+ *
+ * @param {Object} season - { from: 'MM-JJ', to: 'MM-JJ' } (bornes incluses)
+ * @returns {string[]} Erreurs (vide si valide)
+ */
+function validateSeason(season) {
+    if (!season || typeof season !== 'object' || Array.isArray(season)) {
+        return ['objet { from, to } attendu'];
+    }
+
+    return ['from', 'to']
+        .filter(bound => !parseDay(season[bound]))
+        .map(bound => `${bound}: jour MM-JJ attendu, reçu ${JSON.stringify(season[bound])}`);
+}
+
+/**
+ * Indique si une date est dans la fenêtre
+ *
+ * @param {{from: string, to: string}} season - Fenêtre validée
+ * @param {Date} date - Date à tester
+ * @returns {boolean}
+ */
+function isInSeason(season, date = new Date()) {
+    const key = ({ month, day }) => month * 100 + day;
+    const from = key(parseDay(season.from));
+    const to = key(parseDay(season.to));
+    const today = key({ month: date.getMonth() + 1, day: date.getDate() });
+
+    return from <= to ? today >= from && today <= to : today >= from || today <= to;
+}
+
+/**
+ * Ouverture et fermeture d'une fenêtre commençant une année donnée
+ *
+ * @param {{from: string, to: string}} season - Fenêtre validée
+ * @param {number} year - Année d'ouverture
+ * @returns {Date[]} [ouverture, lendemain du dernier jour]
+ */
+function boundaries(season, year) {
+    const from = parseDay(season.from);
+    const to = parseDay(season.to);
+    const wraps = to.month * 100 + to.day < from.month * 100 + from.day;
+
+    return [
+        new Date(year, from.month - 1, from.day),
+        new Date(wraps ? year + 1 : year, to.month - 1, to.day + 1)
+    ];
+}
+
+/**
+ * Toutes les ouvertures/fermetures autour d'une date (année précédente à suivante)
+ *
+ * @param {Object[]} seasons - Fenêtres validées
+ * @param {Date} date - Date de référence
+ * @returns {Date[]}
+ */
+function changesAround(seasons, date) {
+    const year = date.getFullYear();
+    return seasons.flatMap(season => [year - 1, year, year + 1].flatMap(y => boundaries(season, y)));
+}
+
+/**
+ * Dernière ouverture ou fermeture de fenêtre à cette date
+ *
+ * @param {Object[]} seasons - Fenêtres validées
+ * @param {Date} date - Date de référence
+ * @returns {Date|null} null sans catalogue saisonnier
+ */
+function lastSeasonChange(seasons, date = new Date()) {
+    const past = changesAround(seasons, date).filter(change => change <= date);
+    return past.length ? new Date(Math.max(...past)) : null;
+}
+
+/**
+ * Prochaine ouverture ou fermeture de fenêtre
+ *
+ * @param {Object[]} seasons - Fenêtres validées
+ * @param {Date} date - Date de référence
+ * @returns {Date|null} null sans catalogue saisonnier
+ */
+function nextSeasonChange(seasons, date = new Date()) {
+    const future = changesAround(seasons, date).filter(change => change > date);
+    return future.length ? new Date(Math.min(...future)) : null;
+}
+
+module.exports = { validateSeason, isInSeason, lastSeasonChange, nextSeasonChange };
@@ -5,67 +5,128 @@
  */
 
 const fetch = require('node-fetch');
+const { normalizeText, matchScore, keywords } = require('./search');
+const { MemoryStore } = require('./cache');
+const { createLimiter, TokenBucket, sleep } = require('./concurrency');
+const { TMDBNotFoundError, TMDBTransientError, errorFromStatus } = require('./errors');
+const {
+    validateFilters, toDiscoverParams, discoverCacheKey, InvalidFiltersError, CERTIFICATIONS, RATING_SORT_MIN_VOTES
+} = require('./discover');
+const { contentFilterKey, applyContentFilter, needsScreening, isAllowed } = require('./content');
+const metrics = require('./metrics');
+const { createLogger } = require('./logger');
+
+const log = createLogger('TMDB');
 
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 const TMDB_IMAGE_URL = 'https://image.tmdb.org/t/p';
-const METAHUB_URL = 'https://images.metahub.space';
-
-// Mapping des IDs de genre TMDB vers les noms
-const GENRE_MAP = {
-    28: 'Action',
-    12: 'Adventure',
-    16: 'Animation',
-    35: 'Comedy',
-    80: 'Crime',
-    99: 'Documentary',
-    18: 'Drama',
-    10751: 'Family',
-    14: 'Fantasy',
-    36: 'History',
-    27: 'Horror',
-    10402: 'Music',
-    9648: 'Mystery',
-    10749: 'Romance',
-    878: 'Sci-Fi',
-    10770: 'TV Movie',
-    53: 'Thriller',
-    10752: 'War',
-    37: 'Western',
-    // Genres TV
-    10759: 'Action & Adventure',
-    10762: 'Kids',
-    10763: 'News',
-    10764: 'Reality',
-    10765: 'Sci-Fi & Fantasy',
-    10766: 'Soap',
-    10767: 'Talk',
-    10768: 'War & Politics'
-};
 
-// Cache en mémoire (TTL: 30 minutes)
-const cache = new Map();
+// Durée de vie des listes (catalogues, recherches)
 const CACHE_TTL = 30 * 60 * 1000;
 
-/**
- * Récupère depuis le cache ou exécute la fonction
- *
- * @param {string} key - Clé de cache
- * @param {Function} fn - Fonction à exécuter si cache miss
- * @returns {Promise<any>}
- */
-async function cached(key, fn) {
-    const now = Date.now();
-    const entry = cache.get(key);
+// Durée de vie des fiches détaillées
+const DETAILS_TTL = 6 * 60 * 60 * 1000;
+
+// Durée de vie des listes de genres (elles changent très rarement)
+const GENRES_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Conservation des données expirées, servies pendant le rafraîchissement ou une panne TMDB
+const STALE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Durée de vie des classifications et mots-clés d'un titre (filtre de contenu)
+const CONTENT_FACTS_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Durée de vie des plateformes d'un titre (la disponibilité change plus souvent que les fiches)
+const TITLE_PROVIDERS_TTL = 6 * 60 * 60 * 1000;
+
+// Types d'accès affichés comme "disponible" : abonnement, gratuit, gratuit avec pub
+const STREAMING_TYPES = ['flatrate', 'free', 'ads'];
+
+// Durée de mémorisation d'une correspondance TMDB/IMDb manquante (elle peut apparaître plus tard)
+const NO_IMDB_TTL = 24 * 60 * 60 * 1000;
+
+// Appels /external_ids simultanés maximum (tous catalogues confondus)
+const IMDB_CONCURRENCY = 4;
 
-    if (entry && (now - entry.timestamp) < CACHE_TTL) {
-        console.log(`[TMDB] Cache hit: ${key}`);
-        return entry.data;
+// Appels TMDB par titre simultanés maximum (classification, date de sortie régionale,
+// plateformes), tous catalogues confondus
+const TITLE_LOOKUP_CONCURRENCY = 4;
+
+// Délai maximum d'une requête TMDB
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Nouvelles tentatives sur 429/5xx/timeout (backoff exponentiel avec jitter)
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10 * 1000;
+
+// Requêtes par seconde côté client (TMDB tolère environ 50 req/s)
+const DEFAULT_RATE_LIMIT = 40;
+
+// TMDB limite append_to_response à 20 sous-requêtes
+const SEASONS_PER_REQUEST = 20;
+
+// Types de sortie TMDB retenus en priorité : 2 = cinéma (limitée), 3 = cinéma
+const THEATRICAL_RELEASES = [2, 3];
+
+// Titres par page des recommandations et filmographies (listes découpées localement)
+const LOCAL_PAGE_SIZE = 20;
+
+// Collections gardées pour une recherche de sagas
+const COLLECTION_SEARCH_LIMIT = 5;
+
+// Liens vers les films voisins d'une saga, par langue
+const SAGA_LABELS = {
+    fr: { previous: 'Film précédent', next: 'Film suivant' },
+    en: { previous: 'Previous film', next: 'Next film' },
+    nl: { previous: 'Vorige film', next: 'Volgende film' }
+};
+
+// Genres TMDB exclus des filmographies : 10763 Actualités, 10764 Téléréalité, 10767 Talk-show
+const APPEARANCE_GENRES = [10763, 10764, 10767];
+
+// Score minimum pour garder un résultat de la recherche par mots-clés
+const SEARCH_MIN_SCORE = 0.5;
+
+// Métriques (exposées sur /metrics)
+const cacheLookups = metrics.counter({
+    name: 'cataloog_cache_lookups_total',
+    help: 'Lectures du cache TMDB par résultat (hit, stale, miss)',
+    labels: ['result']
+});
+metrics.gauge({
+    name: 'cataloog_cache_hit_ratio',
+    help: 'Part des lectures du cache TMDB servies depuis le cache (entrées périmées comprises)',
+    collect: gauge => {
+        const hits = cacheLookups.get({ result: 'hit' }) + cacheLookups.get({ result: 'stale' });
+        const total = hits + cacheLookups.get({ result: 'miss' });
+        gauge.set({}, total ? hits / total : 0);
     }
+});
+const requestCount = metrics.counter({
+    name: 'cataloog_tmdb_requests_total',
+    help: 'Requêtes HTTP envoyées à TMDB par endpoint et statut (error = timeout ou réseau)',
+    labels: ['endpoint', 'status']
+});
+const requestDuration = metrics.histogram({
+    name: 'cataloog_tmdb_request_duration_seconds',
+    help: 'Durée des requêtes HTTP TMDB par endpoint',
+    labels: ['endpoint']
+});
+const errorCount = metrics.counter({
+    name: 'cataloog_tmdb_errors_total',
+    help: 'Réponses TMDB 429 (rate_limited) et 5xx (server_error)',
+    labels: ['type']
+});
 
-    console.log(`[TMDB] Cache miss: ${key}`);
-    const data = await fn();
-    cache.set(key, { data, timestamp: now });
-    return data;
+/**
+ * Endpoint sans identifiants, pour limiter le nombre de séries (/movie/550 -> /movie/:id)
+ *
+ * @param {string} endpoint - Endpoint API
+ * @returns {string}
+ */
+function metricEndpoint(endpoint) {
+    return endpoint.replace(/\/(tt)?\d+/g, '/:id');
 }
 
 /**
@@ -75,23 +136,178 @@ class TMDBClient {
     /**
      * @param {string} apiKey - Clé API TMDB
      * @param {string} language - Langue (défaut: fr-FR)
+     * @param {Object} options
+     * @param {MemoryStore} options.cache - Réponses TMDB (LRU, TTL par clé, voir lib/cache.js)
+     * @param {MemoryStore} options.idStore - Correspondances d'IDs TMDB/IMDb (permanentes)
+     * @param {MemoryStore} options.titleStore - Données par titre (classifications, plateformes,
+     *   dates régionales) : LRU séparé, pour que ces nombreuses petites entrées n'évincent pas les listes
+     * @param {number} options.rateLimit - Requêtes par seconde maximum
+     * @param {string} options.region - Région des sorties et plateformes (défaut: FR)
+     * @param {string} options.baseUrl - URL de l'API (défaut: TMDB, ou un serveur de substitution local)
+     * @param {FixtureStore} [options.fixtures] - Enregistrement ou rejeu des réponses (voir lib/fixtures.js)
      */
-    constructor(apiKey, language = 'fr-FR') {
+    constructor(apiKey, language = 'fr-FR', {
+        cache = new MemoryStore(),
+        idStore = new MemoryStore({ maxEntries: Infinity }),
+        titleStore = new MemoryStore(),
+        rateLimit = DEFAULT_RATE_LIMIT,
+        region = 'FR',
+        baseUrl = TMDB_BASE_URL,
+        fixtures = null
+    } = {}) {
         this.apiKey = apiKey;
         this.language = language;
-        this.imdbCache = new Map(); // Cache des IDs IMDb
+        this.region = region;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.fixtures = fixtures;
+        this.cache = cache;
+        this.idStore = idStore;
+        this.titleStore = titleStore;
+        this.pendingIds = new Map(); // Résolutions IMDb en cours (partagées)
+        this.refreshing = new Map(); // Calculs de cache en cours (partagés)
+        this.contentFilter = null;
+        this.variants = new Map(); // Clients par langue/région/filtre de contenu (partagés)
+        this.idLimiter = createLimiter(IMDB_CONCURRENCY);
+        this.titleLimiter = createLimiter(TITLE_LOOKUP_CONCURRENCY);
+        this.rateLimiter = new TokenBucket({ rate: rateLimit });
+    }
+
+    /**
+     * Client pour une autre langue/région
+     *
+     * Le client renvoyé partage le cache, les IDs, la limite de débit et les
+     * calculs en cours : seules les réponses dépendant de la langue sont séparées.
+     *
+     * @param {string} language - Langue TMDB (ex: en-US)
+     * @param {string} region - Code pays ISO (ex: US)
+     * @returns {TMDBClient}
+     */
+    withLocale(language, region) {
+        return this._variant({ language, region });
+    }
+
+    /**
+     * Client appliquant un filtre de contenu (voir lib/content.js)
+     *
+     * Comme withLocale, le client renvoyé partage tout sauf les réponses,
+     * mises en cache séparément pour chaque filtre.
+     *
+     * @param {Object|null} contentFilter - Filtre de createContentFilter (null : aucun)
+     * @returns {TMDBClient}
+     */
+    withContentFilter(contentFilter) {
+        return this._variant({ contentFilter });
+    }
+
+    /**
+     * Client partageant l'état de celui-ci avec d'autres réglages (mémorisé)
+     *
+     * @param {Object} overrides - language, region et/ou contentFilter
+     * @returns {TMDBClient}
+     * @private
+     */
+    _variant(overrides) {
+        const settings = {
+            language: this.language,
+            region: this.region,
+            contentFilter: this.contentFilter,
+            ...overrides
+        };
+        const keyOf = ({ language, region, contentFilter }) => `${language}_${region}_${contentFilterKey(contentFilter)}`;
+        const key = keyOf(settings);
+
+        if (key === keyOf(this)) {
+            return this;
+        }
+
+        if (!this.variants.has(key)) {
+            this.variants.set(key, Object.assign(Object.create(TMDBClient.prototype), this, settings));
+        }
+        return this.variants.get(key);
+    }
+
+    /**
+     * Récupère depuis le cache ou exécute la fonction (stale-while-revalidate)
+     *
+     * Une entrée expirée est servie immédiatement pendant qu'un rafraîchissement
+     * tourne en arrière-plan ; si ce rafraîchissement échoue, elle reste servie
+     * jusqu'à STALE_TTL. Les calculs identiques simultanés sont partagés.
+     * La clé est préfixée par la langue du client (titres, résumés, genres traduits)
+     * et son filtre de contenu, sauf pour les données communes (shared).
+     *
+     * @param {string} name - Clé de cache (sans la langue)
+     * @param {Function} fn - Fonction à exécuter si cache miss
+     * @param {number} ttl - Durée de vie en ms (défaut: CACHE_TTL)
+     * @param {Object} options
+     * @param {boolean} options.shared - Clé commune à toutes les langues et filtres
+     * @param {MemoryStore} options.store - Stockage (défaut: cache des réponses, titleStore pour les données par titre)
+     * @returns {Promise<any>}
+     * @private
+     */
+    async _cached(name, fn, ttl = CACHE_TTL, { shared = false, store = this.cache } = {}) {
+        const filterKey = contentFilterKey(this.contentFilter);
+        const key = shared ? name : `${this.language}${filterKey ? `|${filterKey}` : ''}:${name}`;
+        const entry = store.get(key, { stale: true });
+
+        if (entry && entry.expiresAt > Date.now()) {
+            log.debug(`Cache hit: ${key}`);
+            cacheLookups.inc({ result: 'hit' });
+            return entry.value;
+        }
+
+        if (entry) {
+            log.debug(`Cache périmé: ${key}, rafraîchissement en arrière-plan`);
+            cacheLookups.inc({ result: 'stale' });
+            this._refresh(key, fn, ttl, store).catch(error => {
+                log.warn(`Rafraîchissement échoué ${key}: ${error.message}`);
+            });
+            return entry.value;
+        }
+
+        log.debug(`Cache miss: ${key}`);
+        cacheLookups.inc({ result: 'miss' });
+        return this._refresh(key, fn, ttl, store);
+    }
+
+    /**
+     * Calcule une valeur et la met en cache (un seul calcul par clé à la fois)
+     *
+     * @param {string} key - Clé de cache
+     * @param {Function} fn - Fonction de calcul
+     * @param {number} ttl - Durée de vie en ms
+     * @param {MemoryStore} store - Stockage de la valeur
+     * @returns {Promise<any>}
+     * @private
+     */
+    _refresh(key, fn, ttl, store) {
+        if (!this.refreshing.has(key)) {
+            const refresh = Promise.resolve()
+                .then(fn)
+                .then(data => {
+                    store.set(key, data, ttl, STALE_TTL);
+                    return data;
+                })
+                .finally(() => this.refreshing.delete(key));
+            this.refreshing.set(key, refresh);
+        }
+
+        return this.refreshing.get(key);
     }
 
     /**
      * Effectue une requête à l'API TMDB
      *
+     * Chaque tentative consomme un jeton du seau (rateLimit) et expire après
+     * REQUEST_TIMEOUT. Les erreurs passagères sont retentées MAX_RETRIES fois.
+     *
      * @param {string} endpoint - Endpoint API
      * @param {Object} params - Paramètres additionnels
      * @returns {Promise<Object>}
+     * @throws {TMDBError} TMDBAuthError, TMDBNotFoundError, TMDBTransientError...
      * @private
      */
     async _fetch(endpoint, params = {}) {
-        const url = new URL(`${TMDB_BASE_URL}${endpoint}`);
+        const url = new URL(`${this.baseUrl}${endpoint}`);
         url.searchParams.set('api_key', this.apiKey);
         url.searchParams.set('language', this.language);
 
@@ -101,78 +317,356 @@ class TMDBClient {
             }
         }
 
-        const response = await fetch(url.toString());
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.take();
+
+            let error;
+            let retryAfter = null;
+
+            try {
+                const response = await this._request(url.toString(), endpoint);
+
+                if (response.ok) {
+                    try {
+                        return await response.json();
+                    } catch (parseError) {
+                        // Corps tronqué ou invalide : panne passagère (le message de node-fetch contient la clé API)
+                        throw new TMDBTransientError(`Réponse TMDB illisible (${endpoint})`, {
+                            endpoint,
+                            status: response.status
+                        });
+                    }
+                }
+
+                error = errorFromStatus(response.status, endpoint);
+                retryAfter = response.headers.get('retry-after');
+            } catch (requestError) {
+                error = requestError;
+            }
+
+            if (!(error instanceof TMDBTransientError) || attempt >= MAX_RETRIES) {
+                throw error;
+            }
 
-        if (!response.ok) {
-            throw new Error(`TMDB API error: ${response.status}`);
-        }
+            const delay = this._retryDelay(attempt, retryAfter);
 
-        return response.json();
+            // Attente imposée par TMDB trop longue pour une requête Stremio : abandon
+            // plutôt qu'une nouvelle tentative avant la date autorisée
+            if (delay > RETRY_MAX_DELAY) {
+                throw new TMDBTransientError(`${error.message}, Retry-After ${Math.ceil(delay / 1000)} s`, {
+                    endpoint,
+                    status: error.status
+                });
+            }
+
+            log.warn(`${error.message}, nouvelle tentative dans ${delay} ms`);
+            await sleep(delay);
+        }
     }
 
     /**
-     * Récupère l'ID IMDb d'un film
+     * Envoie une requête HTTP avec délai maximum (durée et statut comptés dans les métriques)
      *
-     * @param {number} tmdbId - ID TMDB
-     * @returns {Promise<string|null>} ID IMDb ou null
+     * En mode rejeu, la réponse vient des fixtures sans appel réseau ;
+     * en mode enregistrement, la réponse réelle est sauvegardée au passage.
+     *
+     * @param {string} url - URL complète
+     * @param {string} endpoint - Endpoint (pour les messages d'erreur, sans la clé API)
+     * @returns {Promise<Response>}
+     * @throws {TMDBTransientError} Timeout ou erreur réseau
      * @private
      */
-    async _getMovieImdbId(tmdbId) {
-        if (this.imdbCache.has(`movie_${tmdbId}`)) {
-            return this.imdbCache.get(`movie_${tmdbId}`);
-        }
+    async _request(url, endpoint) {
+        const labels = { endpoint: metricEndpoint(endpoint) };
+        const stopTimer = requestDuration.startTimer(labels);
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
 
         try {
-            const data = await this._fetch(`/movie/${tmdbId}/external_ids`);
-            const imdbId = data.imdb_id || null;
-            this.imdbCache.set(`movie_${tmdbId}`, imdbId);
-            return imdbId;
+            let response = this.fixtures?.mode === 'replay'
+                ? this.fixtures.replay(url, endpoint)
+                : await fetch(url, { signal: controller.signal });
+
+            if (this.fixtures?.mode === 'record') {
+                response = await this.fixtures.record(url, endpoint, response);
+            }
+
+            requestCount.inc({ ...labels, status: response.status });
+            log.debug(`Appel TMDB: ${endpoint}`, { status: response.status, durationMs: Date.now() - startedAt });
+            if (response.status === 429) {
+                errorCount.inc({ type: 'rate_limited' });
+            } else if (response.status >= 500) {
+                errorCount.inc({ type: 'server_error' });
+            }
+
+            return response;
         } catch (error) {
-            return null;
+            requestCount.inc({ ...labels, status: 'error' });
+            // Le message de node-fetch contient l'URL (et donc la clé API) : on ne le reprend pas
+            const reason = error.name === 'AbortError' ? 'timeout' : (error.code || error.type);
+            log.debug(`Appel TMDB: ${endpoint}`, { status: reason, durationMs: Date.now() - startedAt });
+            throw new TMDBTransientError(`TMDB injoignable: ${reason} (${endpoint})`, { endpoint });
+        } finally {
+            clearTimeout(timer);
+            stopTimer();
         }
     }
 
     /**
-     * Récupère l'ID IMDb d'une série
+     * Vérifie la clé API (appel léger à /configuration, sans cache)
      *
-     * @param {number} tmdbId - ID TMDB
+     * @returns {Promise<void>}
+     * @throws {TMDBError} TMDBAuthError si la clé est refusée
+     */
+    async checkApiKey() {
+        await this._fetch('/configuration');
+    }
+
+    /**
+     * Délai avant nouvelle tentative
+     *
+     * Respecte l'en-tête Retry-After (secondes ou date HTTP) s'il est présent,
+     * sans plafond ; sinon backoff exponentiel avec jitter, plafonné à RETRY_MAX_DELAY.
+     *
+     * @param {number} attempt - Numéro de la tentative échouée (0 = première)
+     * @param {string|null} retryAfter - En-tête Retry-After
+     * @returns {number} Délai en ms
+     * @private
+     */
+    _retryDelay(attempt, retryAfter) {
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (delay >= 0) {
+                return Math.ceil(delay);
+            }
+        }
+
+        const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Résout les IDs IMDb d'une liste de titres en un seul passage
+     *
+     * Les IDs connus viennent du stockage permanent, les titres sans ID IMDb sont
+     * mémorisés NO_IMDB_TTL, les résolutions déjà en cours sont partagées et les
+     * appels /external_ids restants passent par une file bornée (IMDB_CONCURRENCY).
+     *
+     * @param {string} kind - movie ou series
+     * @param {number[]} tmdbIds - IDs TMDB
+     * @returns {Promise<Map<number, string|null>>} ID TMDB -> ID IMDb (ou null)
+     * @throws {TMDBError} Panne TMDB sur un des titres : la page échoue (pas de liste
+     *   incomplète mise en cache, l'entrée périmée reste servie)
+     * @private
+     */
+    async _resolveImdbIds(kind, tmdbIds) {
+        const endpoint = kind === 'movie' ? '/movie' : '/tv';
+        const resolved = new Map();
+        const lookups = [];
+
+        for (const tmdbId of new Set(tmdbIds)) {
+            const key = `${kind}_${tmdbId}`;
+
+            const known = this.idStore.get(key);
+            if (known) {
+                resolved.set(tmdbId, known.value);
+                continue;
+            }
+
+            if (this.cache.get(`no_imdb_${key}`)) {
+                resolved.set(tmdbId, null);
+                continue;
+            }
+
+            if (!this.pendingIds.has(key)) {
+                const lookup = this.idLimiter(() => this._fetchImdbId(`${endpoint}/${tmdbId}/external_ids`, key))
+                    .finally(() => this.pendingIds.delete(key));
+                this.pendingIds.set(key, lookup);
+            }
+
+            lookups.push(this.pendingIds.get(key).then(imdbId => resolved.set(tmdbId, imdbId)));
+        }
+
+        await Promise.all(lookups);
+        return resolved;
+    }
+
+    /**
+     * Appelle /external_ids et mémorise le résultat
+     *
+     * @param {string} endpoint - Endpoint external_ids
+     * @param {string} key - Clé de stockage (movie_<id> ou series_<id>)
      * @returns {Promise<string|null>} ID IMDb ou null
+     * @throws {TMDBError} Erreurs autres que 404 (rien n'est mémorisé)
      * @private
      */
-    async _getSeriesImdbId(tmdbId) {
-        if (this.imdbCache.has(`series_${tmdbId}`)) {
-            return this.imdbCache.get(`series_${tmdbId}`);
+    async _fetchImdbId(endpoint, key) {
+        try {
+            const data = await this._fetch(endpoint);
+
+            if (data.imdb_id) {
+                this.idStore.set(key, data.imdb_id);
+                return data.imdb_id;
+            }
+
+            this.cache.set(`no_imdb_${key}`, true, NO_IMDB_TTL);
+            return null;
+        } catch (error) {
+            // Titre supprimé de TMDB : mémorisé comme sans ID IMDb
+            if (error instanceof TMDBNotFoundError) {
+                this.cache.set(`no_imdb_${key}`, true, NO_IMDB_TTL);
+                return null;
+            }
+            // Autres erreurs : rien n'est mémorisé, le titre sera retenté
+            throw error;
         }
+    }
 
+    /**
+     * Noms des genres dans la langue du client
+     *
+     * Sans liste de genres (TMDB indisponible), les metas sont servies sans genres.
+     *
+     * @param {string} type - movie ou series
+     * @returns {Promise<Object<number, string>>} ID de genre -> nom
+     * @private
+     */
+    async _getGenreNames(type) {
         try {
-            const data = await this._fetch(`/tv/${tmdbId}/external_ids`);
-            const imdbId = data.imdb_id || null;
-            this.imdbCache.set(`series_${tmdbId}`, imdbId);
-            return imdbId;
+            const genres = await this.getGenres(type);
+            return Object.fromEntries(genres.map(genre => [genre.id, genre.name]));
         } catch (error) {
-            return null;
+            log.warn(`Genres ${type} indisponibles (${this.language}): ${error.message}`);
+            return {};
         }
     }
 
     /**
-     * Formate un film pour Stremio (avec récupération ID IMDb)
+     * Classification française, mots-clés et statut adulte d'un titre
+     *
+     * Communs à toutes les installations (cache partagé, dans titleStore) ; les appels
+     * TMDB passent par une file bornée (TITLE_LOOKUP_CONCURRENCY).
+     *
+     * @param {string} kind - movie ou series
+     * @param {number} tmdbId - ID TMDB
+     * @returns {Promise<{adult: boolean, certification: string|null, keywords: number[]}>}
+     * @private
+     */
+    async _getContentFacts(kind, tmdbId) {
+        return this._cached(`content_${kind}_${tmdbId}`, async () => {
+            if (kind === 'movie') {
+                const data = await this.titleLimiter(() => this._fetch(`/movie/${tmdbId}`, {
+                    append_to_response: 'release_dates,keywords'
+                }));
+                const dates = data.release_dates?.results?.find(r => r.iso_3166_1 === 'FR')?.release_dates || [];
+                // Plusieurs sorties françaises : la classification la plus restrictive l'emporte
+                const ranks = dates.map(d => CERTIFICATIONS.movie.indexOf(d.certification)).filter(rank => rank >= 0);
+                return {
+                    adult: Boolean(data.adult),
+                    certification: ranks.length ? CERTIFICATIONS.movie[Math.max(...ranks)] : null,
+                    keywords: (data.keywords?.keywords || []).map(k => k.id)
+                };
+            }
+
+            const data = await this.titleLimiter(() => this._fetch(`/tv/${tmdbId}`, {
+                append_to_response: 'content_ratings,keywords'
+            }));
+            return {
+                adult: Boolean(data.adult),
+                certification: data.content_ratings?.results?.find(r => r.iso_3166_1 === 'FR')?.rating || null,
+                keywords: (data.keywords?.results || []).map(k => k.id)
+            };
+        }, CONTENT_FACTS_TTL, { shared: true, store: this.titleStore });
+    }
+
+    /**
+     * Écarte les titres adultes et ceux refusés par le filtre de contenu du client
+     *
+     * Sans filtre, seul l'indicateur adult des résultats est vérifié. Avec un
+     * filtre, chaque titre est vérifié (un appel TMDB par titre, mis en cache) ;
+     * un titre non vérifiable (TMDB indisponible) est écarté. Le nombre de pages
+     * vérifiées par requête est borné par la pagination (MAX_SCREENED_PAGES).
+     *
+     * @param {string} kind - movie ou series
+     * @param {Object[]} items - Résultats TMDB
+     * @returns {Promise<Object[]>}
+     * @private
+     */
+    async _screen(kind, items) {
+        const candidates = items.filter(item => item && !item.adult);
+        if (!this.contentFilter) return candidates;
+
+        const allowed = await Promise.all(candidates.map(async item => {
+            try {
+                return isAllowed(kind, await this._getContentFacts(kind, item.id), this.contentFilter);
+            } catch (error) {
+                log.debug(`Titre ${kind} ${item.id} écarté (classification indisponible): ${error.message}`);
+                return false;
+            }
+        }));
+        return candidates.filter((item, index) => allowed[index]);
+    }
+
+    /**
+     * Formate une liste de films (IDs IMDb résolus en lot)
+     *
+     * @param {Object[]} movies - Films TMDB
+     * @param {Object} options
+     * @param {boolean} options.screened - Déjà filtrés par TMDB (discover)
+     * @returns {Promise<Object[]>} Metas Stremio (titres sans ID IMDb ou filtrés exclus)
+     * @private
+     */
+    async _formatMovies(movies = [], { screened = false } = {}) {
+        if (!screened) movies = await this._screen('movie', movies);
+
+        const [genreNames, imdbIds] = await Promise.all([
+            this._getGenreNames('movie'),
+            this._resolveImdbIds('movie', movies.filter(m => m?.id).map(m => m.id))
+        ]);
+        return movies.map(m => this._formatMovie(m, imdbIds, genreNames)).filter(Boolean);
+    }
+
+    /**
+     * Formate une liste de séries (IDs IMDb résolus en lot)
+     *
+     * @param {Object[]} seriesList - Séries TMDB
+     * @param {Object} options
+     * @param {boolean} options.screened - Déjà filtrées par TMDB (discover)
+     * @returns {Promise<Object[]>} Metas Stremio (titres sans ID IMDb ou filtrés exclus)
+     * @private
+     */
+    async _formatSeriesList(seriesList = [], { screened = false } = {}) {
+        if (!screened) seriesList = await this._screen('series', seriesList);
+
+        const [genreNames, imdbIds] = await Promise.all([
+            this._getGenreNames('series'),
+            this._resolveImdbIds('series', seriesList.filter(s => s?.id).map(s => s.id))
+        ]);
+        return seriesList.map(s => this._formatSeries(s, imdbIds, genreNames)).filter(Boolean);
+    }
+
+    /**
+     * Formate un film pour Stremio
      *
      * @param {Object} movie - Film TMDB
-     * @returns {Promise<Object|null>} Meta Stremio
+     * @param {Map<number, string|null>} imdbIds - IDs IMDb résolus (voir _resolveImdbIds)
+     * @param {Object<number, string>} genreNames - ID de genre -> nom traduit
+     * @returns {Object|null} Meta Stremio
      * @private
      */
-    async _formatMovie(movie) {
+    _formatMovie(movie, imdbIds, genreNames = {}) {
         if (!movie || !movie.id) return null;
 
-        // Récupère l'ID IMDb
-        const imdbId = await this._getMovieImdbId(movie.id);
+        const imdbId = imdbIds.get(movie.id);
 
         // Skip si pas d'ID IMDb (nécessaire pour Stremio)
         if (!imdbId) return null;
 
         // Convertir les IDs de genre en noms
-        const genreNames = (movie.genre_ids || [])
-            .map(id => GENRE_MAP[id])
+        const genres = (movie.genre_ids || [])
+            .map(id => genreNames[id])
             .filter(Boolean);
 
         return {
@@ -180,36 +674,39 @@ class TMDBClient {
             imdb_id: imdbId,
             type: 'movie',
             name: movie.title || movie.original_title,
-            poster: `${METAHUB_URL}/poster/medium/${imdbId}/img`,
-            background: `${METAHUB_URL}/background/medium/${imdbId}/img`,
-            logo: `${METAHUB_URL}/logo/medium/${imdbId}/img`,
+            // Chemins TMDB bruts : URLs construites par lib/artwork.js selon l'installation
+            tmdbImages: { poster: movie.poster_path, background: movie.backdrop_path },
+            // ID TMDB : plateformes ajoutées à la réponse par lib/availability.js
+            tmdbId: movie.id,
             description: movie.overview,
             releaseInfo: movie.release_date?.substring(0, 4),
+            released: movie.release_date ? new Date(movie.release_date).toISOString() : undefined,
             imdbRating: movie.vote_average?.toFixed(1),
             year: movie.release_date?.substring(0, 4),
-            genres: genreNames
+            genres
         };
     }
 
     /**
-     * Formate une série pour Stremio (avec récupération ID IMDb)
+     * Formate une série pour Stremio
      *
      * @param {Object} series - Série TMDB
-     * @returns {Promise<Object|null>} Meta Stremio
+     * @param {Map<number, string|null>} imdbIds - IDs IMDb résolus (voir _resolveImdbIds)
+     * @param {Object<number, string>} genreNames - ID de genre -> nom traduit
+     * @returns {Object|null} Meta Stremio
      * @private
      */
-    async _formatSeries(series) {
+    _formatSeries(series, imdbIds, genreNames = {}) {
         if (!series || !series.id) return null;
 
-        // Récupère l'ID IMDb
-        const imdbId = await this._getSeriesImdbId(series.id);
+        const imdbId = imdbIds.get(series.id);
 
         // Skip si pas d'ID IMDb (nécessaire pour Stremio)
         if (!imdbId) return null;
 
         // Convertir les IDs de genre en noms
-        const genreNames = (series.genre_ids || [])
-            .map(id => GENRE_MAP[id])
+        const genres = (series.genre_ids || [])
+            .map(id => genreNames[id])
             .filter(Boolean);
 
         return {
@@ -217,27 +714,84 @@ class TMDBClient {
             imdb_id: imdbId,
             type: 'series',
             name: series.name || series.original_name,
-            poster: `${METAHUB_URL}/poster/medium/${imdbId}/img`,
-            background: `${METAHUB_URL}/background/medium/${imdbId}/img`,
-            logo: `${METAHUB_URL}/logo/medium/${imdbId}/img`,
+            // Chemins TMDB bruts : URLs construites par lib/artwork.js selon l'installation
+            tmdbImages: { poster: series.poster_path, background: series.backdrop_path },
+            // ID TMDB : plateformes ajoutées à la réponse par lib/availability.js
+            tmdbId: series.id,
             description: series.overview,
             releaseInfo: series.first_air_date?.substring(0, 4),
             imdbRating: series.vote_average?.toFixed(1),
             year: series.first_air_date?.substring(0, 4),
-            genres: genreNames
+            genres
         };
     }
 
+    // ==================== DISCOVER ====================
+
+    /**
+     * Liste /discover à partir de filtres lisibles
+     *
+     * Les catalogues discover de catalogs.yaml n'ont pas de méthode propre : leurs
+     * filtres sont passés tels quels (voir lib/catalogs.js). Filtres disponibles et sémantique ET/OU : voir lib/discover.js.
+     * Le filtre de contenu du client est ajouté aux filtres et appliqué par TMDB,
+     * sauf la classification des séries (ignorée par /discover/tv) : ces résultats
+     * sont vérifiés titre par titre.
+     *
+     * @param {string} type - movie ou series
+     * @param {Object} filters - Filtres (originCountries, withGenres, withoutGenres, keywords,
+     *   releasedAfter/releasedBefore, minVotes, maxVotes, minRating, maxCertification (films),
+     *   providers, region, sort)
+     * @param {number} page - Page TMDB
+     * @param {Object} options
+     * @param {number[]|null} options.anyGenres - Genres dont chaque résultat doit avoir au
+     *   moins un, vérifiés après la requête (voir addGenre) : une page peut être incomplète
+     * @returns {Promise<Object[]>} Metas Stremio
+     * @throws {InvalidFiltersError} Type ou filtres invalides
+     *
+     * @example
+     * tmdb.discover('series', { originCountries: ['KR'], withGenres: { any: [18, 10765] } }, 1)
+     */
+    async discover(type, filters = {}, page = 1, { anyGenres = null } = {}) {
+        if (type !== 'movie' && type !== 'series') {
+            throw new InvalidFiltersError([`type: movie ou series attendu, reçu ${JSON.stringify(type)}`]);
+        }
+
+        const errors = validateFilters(filters, type);
+        if (errors.length) {
+            throw new InvalidFiltersError(errors);
+        }
+
+        const filtered = applyContentFilter(type, filters, this.contentFilter);
+
+        // Plateformes sans région explicite : région du client
+        const params = toDiscoverParams(type, filtered.providers && !filtered.region
+            ? { ...filtered, region: this.region }
+            : filtered);
+
+        const genresKey = anyGenres?.length ? `_any_genres=${anyGenres.join('|')}` : '';
+        const matchesGenres = item => !genresKey || (item.genre_ids || []).some(id => anyGenres.includes(id));
+
+        return this._cached(`${discoverCacheKey(type, params, page)}${genresKey}`, async () => {
+            if (type === 'movie') {
+                const data = await this._fetch('/discover/movie', { ...params, page, include_adult: false });
+                return this._formatMovies((data.results || []).filter(matchesGenres), { screened: true });
+            }
+            const data = await this._fetch('/discover/tv', { ...params, page, include_adult: false });
+            return this._formatSeriesList((data.results || []).filter(matchesGenres), {
+                screened: !needsScreening(type, this.contentFilter)
+            });
+        });
+    }
+
     // ==================== TENDANCES ====================
 
     /**
      * Films tendances du jour
      */
     async getTrendingMoviesDay(page = 1) {
-        return cached(`trending_movies_day_${page}`, async () => {
+        return this._cached(`trending_movies_day_${page}`, async () => {
             const data = await this._fetch('/trending/movie/day', { page });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+            return this._formatMovies(data.results);
         });
     }
 
@@ -245,10 +799,9 @@ class TMDBClient {
      * Films tendances de la semaine
      */
     async getTrendingMoviesWeek(page = 1) {
-        return cached(`trending_movies_week_${page}`, async () => {
+        return this._cached(`trending_movies_week_${page}`, async () => {
             const data = await this._fetch('/trending/movie/week', { page });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+            return this._formatMovies(data.results);
         });
     }
 
@@ -256,10 +809,9 @@ class TMDBClient {
      * Séries tendances du jour
      */
     async getTrendingSeriesDay(page = 1) {
-        return cached(`trending_series_day_${page}`, async () => {
+        return this._cached(`trending_series_day_${page}`, async () => {
             const data = await this._fetch('/trending/tv/day', { page });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+            return this._formatSeriesList(data.results);
         });
     }
 
@@ -267,23 +819,48 @@ class TMDBClient {
      * Séries tendances de la semaine
      */
     async getTrendingSeriesWeek(page = 1) {
-        return cached(`trending_series_week_${page}`, async () => {
+        return this._cached(`trending_series_week_${page}`, async () => {
             const data = await this._fetch('/trending/tv/week', { page });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+            return this._formatSeriesList(data.results);
         });
     }
 
+    // ==================== GENRES ====================
+
+    /**
+     * Genres TMDB d'un type, dans la langue du client
+     *
+     * @param {string} type - movie ou series
+     * @returns {Promise<Array<{id: number, name: string}>>}
+     */
+    async getGenres(type) {
+        return this._cached(`genres_${type}`, async () => {
+            const data = await this._fetch(type === 'movie' ? '/genre/movie/list' : '/genre/tv/list');
+            return data.genres || [];
+        }, GENRES_TTL);
+    }
+
+    /**
+     * Retrouve l'ID d'un genre à partir de son nom (option Stremio)
+     *
+     * @param {string} type - movie ou series
+     * @param {string} name - Nom du genre
+     * @returns {Promise<number|null>}
+     */
+    async findGenreId(type, name) {
+        const genres = await this.getGenres(type);
+        return genres.find(genre => genre.name === name)?.id || null;
+    }
+
     // ==================== TOP & CLASSEMENTS ====================
 
     /**
      * Films les mieux notés
      */
     async getTopRatedMovies(page = 1) {
-        return cached(`top_rated_movies_${page}`, async () => {
+        return this._cached(`top_rated_movies_${page}`, async () => {
             const data = await this._fetch('/movie/top_rated', { page });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+            return this._formatMovies(data.results);
         });
     }
 
@@ -291,10 +868,9 @@ class TMDBClient {
      * Séries les mieux notées
      */
     async getTopRatedSeries(page = 1) {
-        return cached(`top_rated_series_${page}`, async () => {
+        return this._cached(`top_rated_series_${page}`, async () => {
             const data = await this._fetch('/tv/top_rated', { page });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+            return this._formatSeriesList(data.results);
         });
     }
 
@@ -302,564 +878,671 @@ class TMDBClient {
      * Films populaires
      */
     async getPopularMovies(page = 1) {
-        return cached(`popular_movies_${page}`, async () => {
+        return this._cached(`popular_movies_${page}`, async () => {
             const data = await this._fetch('/movie/popular', { page });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
-    }
-
-    /**
-     * Pépites cachées (bien notés mais peu connus)
-     */
-    async getHiddenGems(page = 1) {
-        return cached(`hidden_gems_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100,
-                'vote_count.lte': 1000,
-                'vote_average.gte': 7.5
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+            return this._formatMovies(data.results);
         });
     }
 
     // ==================== SORTIES ====================
 
     /**
-     * Films actuellement au cinéma
+     * Films actuellement au cinéma (dans la région du client)
      */
     async getNowPlayingMovies(page = 1) {
-        return cached(`now_playing_${page}`, async () => {
-            const data = await this._fetch('/movie/now_playing', { page, region: 'FR' });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+        return this._cached(`now_playing_${this.region}_${page}`, async () => {
+            const data = await this._fetch('/movie/now_playing', { page, region: this.region });
+            return this._formatMovies(data.results);
         });
     }
 
     /**
-     * Films à venir
+     * Films à venir (dans la région du client)
+     *
+     * releaseInfo affiche la date de sortie dans la région (ex: 12 nov. 2026) au lieu de l'année.
+     * Le paramètre region ne fait que filtrer la liste (release_date reste la première sortie
+     * mondiale) : la date régionale est lue film par film dans /release_dates.
      */
     async getUpcomingMovies(page = 1) {
-        return cached(`upcoming_${page}`, async () => {
-            const data = await this._fetch('/movie/upcoming', { page, region: 'FR' });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+        return this._cached(`upcoming_${this.region}_${page}`, async () => {
+            const data = await this._fetch('/movie/upcoming', { page, region: this.region });
+            const movies = await Promise.all((data.results || []).map(async movie => ({
+                ...movie,
+                release_date: await this._getRegionalReleaseDate(movie.id) || movie.release_date
+            })));
+
+            const metas = await this._formatMovies(movies);
+            return metas.map(meta => ({ ...meta, releaseInfo: this._formatDate(meta.released) || meta.releaseInfo }));
         });
     }
 
-    // ==================== PAR GENRE ====================
-
     /**
-     * Films par genre
+     * Date de sortie d'un film dans la région du client
      *
-     * @param {number} genreId - ID du genre TMDB
+     * Sortie cinéma en priorité, sinon première sortie connue dans la région. Commune
+     * à toutes les langues (cache partagé) ; les appels passent par la file bornée
+     * des recherches par titre (TITLE_LOOKUP_CONCURRENCY).
+     *
+     * @param {number} movieId - ID TMDB
+     * @returns {Promise<string|null>} Date AAAA-MM-JJ ou null (inconnue, ou film retiré de TMDB)
+     * @throws {TMDBError} Autres erreurs TMDB : la page échoue plutôt que d'afficher des dates fausses
+     * @private
      */
-    async getMoviesByGenre(genreId, page = 1) {
-        return cached(`movies_genre_${genreId}_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_genres: genreId,
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async _getRegionalReleaseDate(movieId) {
+        try {
+            return await this._cached(`release_date_${this.region}_${movieId}`, async () => {
+                const data = await this.titleLimiter(() => this._fetch(`/movie/${movieId}/release_dates`));
+                const dates = data.results?.find(r => r.iso_3166_1 === this.region)?.release_dates || [];
+                const theatrical = dates.filter(d => THEATRICAL_RELEASES.includes(d.type));
+                const first = (theatrical.length ? theatrical : dates).map(d => d.release_date).sort()[0];
+                return first ? first.substring(0, 10) : null;
+            }, DETAILS_TTL, { shared: true, store: this.titleStore });
+        } catch (error) {
+            if (error instanceof TMDBNotFoundError) return null;
+            throw error;
+        }
     }
 
     /**
-     * Séries par genre
+     * Date lisible dans la langue du client (ex: 12 nov. 2026)
+     *
+     * @param {string} [date] - Date ISO
+     * @returns {string|undefined}
+     * @private
      */
-    async getSeriesByGenre(genreId, page = 1) {
-        return cached(`series_genre_${genreId}_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_genres: genreId,
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
-    }
-
-    // ==================== SÉRIES SPÉCIALES ====================
+    _formatDate(date) {
+        if (!date) return undefined;
 
-    /**
-     * Mini-séries (séries limitées) - triées par note
-     */
-    async getMiniSeries(page = 1) {
-        return cached(`miniseries_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_keywords: 11162, // Miniseries keyword
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
+        return new Intl.DateTimeFormat(this.language, {
+            day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+        }).format(new Date(date));
     }
 
-    /**
-     * K-Dramas (séries coréennes) - triées par note
-     */
-    async getKDramas(page = 1) {
-        return cached(`kdramas_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_origin_country: 'KR',
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
-    }
+    // ==================== PLATEFORMES ====================
 
     /**
-     * Anime - triées par note
+     * Plateformes de streaming d'un titre dans la région du client
+     *
+     * Cache commun à toutes les langues, sur sa propre durée (TITLE_PROVIDERS_TTL) ; les
+     * appels TMDB passent par la file bornée des recherches par titre (TITLE_LOOKUP_CONCURRENCY).
+     *
+     * @param {string} kind - movie ou series
+     * @param {number} tmdbId - ID TMDB
+     * @returns {Promise<{link: string, providers: string[]}|null>} null si le titre n'est pas
+     *   disponible en streaming dans la région ; link : page TMDB des offres
      */
-    async getAnime(page = 1) {
-        return cached(`anime_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_genres: 16, // Animation
-                with_origin_country: 'JP',
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
+    async getTitleProviders(kind, tmdbId) {
+        return this._cached(`watch_${kind}_${tmdbId}_${this.region}`, async () => {
+            const data = await this.titleLimiter(() => this._fetch(`${kind === 'movie' ? '/movie' : '/tv'}/${tmdbId}/watch/providers`));
+            const offers = data.results?.[this.region];
+            if (!offers) return null;
+
+            const providers = [...new Set(STREAMING_TYPES
+                .flatMap(type => offers[type] || [])
+                .sort((a, b) => a.display_priority - b.display_priority)
+                .map(provider => provider.provider_name))];
+
+            return providers.length ? { link: offers.link, providers } : null;
+        }, TITLE_PROVIDERS_TTL, { shared: true, store: this.titleStore });
     }
 
     /**
-     * Docu-séries - triées par note
+     * Plateformes disponibles dans la région du client (films et séries confondus)
+     *
+     * @returns {Promise<Array<{id: number, name: string}>>} Par ordre d'importance dans la région
      */
-    async getDocuSeries(page = 1) {
-        return cached(`docuseries_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_genres: 99, // Documentary
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
+    async getWatchProviders() {
+        return this._cached(`watch_providers_${this.region}`, async () => {
+            const lists = await Promise.all(['/watch/providers/movie', '/watch/providers/tv']
+                .map(endpoint => this._fetch(endpoint, { watch_region: this.region })));
+
+            const providers = new Map();
+            for (const provider of lists.flatMap(data => data.results || [])) {
+                const priority = provider.display_priorities?.[this.region] ?? provider.display_priority ?? Infinity;
+                const known = providers.get(provider.provider_id);
+                if (!known || priority < known.priority) {
+                    providers.set(provider.provider_id, { id: provider.provider_id, name: provider.provider_name, priority });
+                }
+            }
+
+            return [...providers.values()]
+                .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name))
+                .map(({ id, name }) => ({ id, name }));
+        }, GENRES_TTL);
     }
 
-    // ==================== PAR PLATEFORME ====================
+    // ==================== RECHERCHE ====================
 
     /**
-     * Films par plateforme de streaming
+     * Recherche tolérante aux accents et aux fautes de frappe
      *
-     * @param {number} providerId - ID du provider TMDB
-     * @param {string} region - Région (défaut: FR)
+     * Essaie la requête telle quelle puis sans accents. Si rien ne correspond,
+     * cherche chaque mot significatif séparément (page 1 uniquement) et classe
+     * les résultats selon leur ressemblance avec la requête complète.
+     *
+     * @param {string} endpoint - /search/movie ou /search/tv
+     * @param {string} query - Requête utilisateur
+     * @param {number} page - Page TMDB
+     * @returns {Promise<Object[]>} Résultats TMDB bruts
+     * @private
      */
-    async getMoviesByProvider(providerId, page = 1, region = 'FR') {
-        return cached(`movies_provider_${providerId}_${region}_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_watch_providers: providerId,
-                watch_region: region,
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async _search(endpoint, query, page) {
+        const attempts = [...new Set([query.trim(), normalizeText(query)])].filter(Boolean);
+
+        for (const attempt of attempts) {
+            const data = await this._fetch(endpoint, { query: attempt, page, include_adult: false });
+            if (data.total_results > 0) {
+                return data.results;
+            }
+        }
+
+        if (page > 1) return [];
+
+        const words = keywords(query).slice(0, 2);
+        const responses = await Promise.all(
+            words.map(word => this._fetch(endpoint, { query: word, include_adult: false }))
+        );
+
+        const seen = new Set();
+        return responses
+            .flatMap(data => data.results || [])
+            .filter(item => !seen.has(item.id) && seen.add(item.id))
+            .map(item => ({
+                item,
+                score: Math.max(
+                    matchScore(query, item.title || item.name),
+                    matchScore(query, item.original_title || item.original_name)
+                )
+            }))
+            .filter(({ score }) => score >= SEARCH_MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .map(({ item }) => item);
     }
 
     /**
-     * Séries par plateforme de streaming
+     * Recherche de films
      *
-     * @param {number} providerId - ID du provider TMDB
-     * @param {string} region - Région (défaut: FR)
+     * @param {string} query - Requête (accents et fautes tolérés)
      */
-    async getSeriesByProvider(providerId, page = 1, region = 'FR') {
-        return cached(`series_provider_${providerId}_${region}_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_watch_providers: providerId,
-                watch_region: region,
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+    async searchMovies(query, page = 1) {
+        return this._cached(`search_movies_${normalizeText(query)}_${page}`, async () => {
+            const movies = await this._search('/search/movie', query, page);
+            return this._formatMovies(movies);
         });
     }
 
-    // ==================== PAR PAYS ====================
-
     /**
-     * Films par pays d'origine
+     * Recherche de séries
      *
-     * @param {string} countryCode - Code pays ISO (FR, KR, JP, etc.)
+     * @param {string} query - Requête (accents et fautes tolérés)
      */
-    async getMoviesByCountry(countryCode, page = 1) {
-        return cached(`movies_country_${countryCode}_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_origin_country: countryCode,
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 30
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+    async searchSeries(query, page = 1) {
+        return this._cached(`search_series_${normalizeText(query)}_${page}`, async () => {
+            const series = await this._search('/search/tv', query, page);
+            return this._formatSeriesList(series);
         });
     }
 
-    // ==================== SPÉCIAL BELLE-MÈRE ====================
+    // ==================== RECOMMANDATIONS ====================
 
     /**
-     * J-Drama (séries japonaises hors anime)
+     * Titres liés à un titre (première page de /recommendations et de /similar)
+     *
+     * @param {string} kind - movie ou series
+     * @param {number} tmdbId - ID TMDB
+     * @returns {Promise<Object[][]>} [recommandations, similaires] (résultats TMDB bruts)
+     * @private
      */
-    async getJDrama(page = 1) {
-        return cached(`jdrama_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_origin_country: 'JP',
-                without_genres: 16, // Exclure animation
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
-    }
+    async _getRelated(kind, tmdbId) {
+        const endpoint = kind === 'movie' ? `/movie/${tmdbId}` : `/tv/${tmdbId}`;
 
-    /**
-     * Drama Asiatique (Chine, Taiwan, Thaïlande)
-     */
-    async getAsianDrama(page = 1) {
-        return cached(`asian_drama_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_origin_country: 'CN|TW|TH',
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 30
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
+        return this._cached(`related_${kind}_${tmdbId}`, async () => {
+            const lists = await Promise.all(['recommendations', 'similar'].map(list => this._fetch(`${endpoint}/${list}`)));
+            return lists.map(data => data.results || []);
+        }, DETAILS_TTL);
     }
 
     /**
-     * Cinéma Chinois
+     * Classe les titres liés à des favoris
+     *
+     * Un titre proposé pour plusieurs favoris passe devant, puis celui présent
+     * dans le plus de listes, puis le plus populaire. Les favoris sont exclus ;
+     * ceux d'un autre type ou inconnus de TMDB sont ignorés.
+     *
+     * @param {string} kind - movie ou series
+     * @param {string[]} imdbIds - IDs IMDb des favoris
+     * @returns {Promise<Object[]>} Résultats TMDB bruts, du plus au moins pertinent
+     * @private
      */
-    async getChineseMovies(page = 1) {
-        return cached(`chinese_movies_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_origin_country: 'CN',
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 30
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
-    }
+    async _rankRecommendations(kind, imdbIds) {
+        const seeds = (await Promise.all(imdbIds.map(imdbId => this.findTmdbId(imdbId, kind)))).filter(Boolean);
+        const related = await Promise.all(seeds.map(tmdbId => this._getRelated(kind, tmdbId).catch(error => {
+            // Favori supprimé de TMDB : ignoré ; les autres erreurs font échouer le calcul (non mis en cache)
+            if (error instanceof TMDBNotFoundError) return [];
+            throw error;
+        })));
+
+        const excluded = new Set(seeds);
+        const scores = new Map();
+
+        for (const lists of related) {
+            const counted = new Set();
+            for (const item of lists.flat()) {
+                if (!item?.id || excluded.has(item.id)) continue;
+
+                const score = scores.get(item.id) || { item, seeds: 0, lists: 0 };
+                score.lists++;
+                if (!counted.has(item.id)) {
+                    counted.add(item.id);
+                    score.seeds++;
+                }
+                scores.set(item.id, score);
+            }
+        }
 
-    /**
-     * Romance Coréenne (K-Drama romantiques)
-     */
-    async getKoreanRomance(page = 1) {
-        return cached(`korean_romance_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_origin_country: 'KR',
-                with_genres: 18, // Drama
-                with_keywords: '9840', // romance keyword
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-        });
+        return [...scores.values()]
+            .sort((a, b) => b.seeds - a.seeds || b.lists - a.lists || (b.item.popularity || 0) - (a.item.popularity || 0))
+            .map(({ item }) => item);
     }
 
     /**
-     * Films Policiers
+     * Recommandations à partir de favoris ("Parce que vous avez aimé…")
+     *
+     * Fusion dédoublonnée de /recommendations et /similar de chaque favori du
+     * type demandé, classée par recoupement (voir _rankRecommendations).
+     *
+     * @param {string} type - movie ou series
+     * @param {string[]} imdbIds - Favoris (IDs IMDb, films et séries mélangés)
+     * @param {number} page - Page de LOCAL_PAGE_SIZE titres
+     * @returns {Promise<Object[]>} Metas Stremio
      */
-    async getCrimeMovies(page = 1) {
-        return cached(`crime_movies_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_genres: 80, // Crime
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+    async getRecommendations(type, imdbIds, page = 1) {
+        const favorites = [...new Set(imdbIds)].sort();
+
+        return this._cached(`recommendations_${type}_${favorites.join(',')}_${page}`, async () => {
+            const ranked = await this._rankRecommendations(type, favorites);
+            const slice = ranked.slice((page - 1) * LOCAL_PAGE_SIZE, page * LOCAL_PAGE_SIZE);
+            return type === 'movie' ? this._formatMovies(slice) : this._formatSeriesList(slice);
         });
     }
 
+    // ==================== PERSONNES ====================
+
     /**
-     * Séries Policières
+     * Recherche une personne par son nom (réalisateurs, acteurs...)
+     *
+     * @param {string} name - Nom recherché
+     * @returns {Promise<Array<{id: number, name: string, department: string, knownFor: string[]}>>}
      */
-    async getCrimeSeries(page = 1) {
-        return cached(`crime_series_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                with_genres: 80, // Crime
-                sort_by: 'popularity.desc',
-                'vote_count.gte': 50
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+    async searchPeople(name) {
+        return this._cached(`search_people_${normalizeText(name)}`, async () => {
+            const data = await this._fetch('/search/person', { query: name.trim(), include_adult: false });
+            return (data.results || []).map(person => ({
+                id: person.id,
+                name: person.name,
+                department: person.known_for_department,
+                knownFor: (person.known_for || []).map(work => work.title || work.name).filter(Boolean)
+            }));
         });
     }
 
     /**
-     * Séries Classiques (avant 2000, bien notées, sans animation)
+     * Filmographie d'une personne
+     *
+     * Un titre n'apparaît qu'une fois (plusieurs rôles possibles) ; les apparitions
+     * dans des talk-shows, actualités et téléréalités sont exclues. Tri par date :
+     * du plus récent au plus ancien. Tri par note : les titres avec moins de
+     * RATING_SORT_MIN_VOTES votes passent après les autres.
+     *
+     * @param {number} personId - ID TMDB de la personne
+     * @param {Object} options
+     * @param {string} options.type - movie ou series
+     * @param {string} options.role - director ou cast
+     * @param {string} options.sort - date ou rating
+     * @param {number} page - Page de LOCAL_PAGE_SIZE titres
+     * @returns {Promise<Object[]>} Metas Stremio
      */
-    async getClassicSeries(page = 1) {
-        return cached(`classic_series_${page}`, async () => {
-            const data = await this._fetch('/discover/tv', {
-                page,
-                'first_air_date.lte': '1999-12-31',
-                without_genres: 16, // Exclure animation
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100
-            });
-            const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
+    async getPersonCredits(personId, { type, role, sort }, page = 1) {
+        return this._cached(`person_${personId}_${type}_${role}_${sort}_${page}`, async () => {
+            const data = await this._cached(`person_credits_${personId}`,
+                () => this._fetch(`/person/${personId}/combined_credits`), DETAILS_TTL);
+
+            const mediaType = type === 'movie' ? 'movie' : 'tv';
+            const dateOf = credit => credit.release_date || credit.first_air_date || '';
+            const credits = (role === 'director'
+                ? (data.crew || []).filter(credit => credit.job === 'Director')
+                : data.cast || [])
+                .filter(credit => credit.media_type === mediaType)
+                .filter(credit => !(credit.genre_ids || []).some(id => APPEARANCE_GENRES.includes(id)));
+
+            const seen = new Set();
+            const unique = credits.filter(credit => !seen.has(credit.id) && seen.add(credit.id));
+            const rated = credit => (credit.vote_count || 0) >= RATING_SORT_MIN_VOTES;
+
+            unique.sort(sort === 'rating'
+                ? (a, b) => rated(b) - rated(a) || (b.vote_average || 0) - (a.vote_average || 0)
+                : (a, b) => dateOf(b).localeCompare(dateOf(a)));
+
+            const slice = unique.slice((page - 1) * LOCAL_PAGE_SIZE, page * LOCAL_PAGE_SIZE);
+            return type === 'movie' ? this._formatMovies(slice) : this._formatSeriesList(slice);
         });
     }
 
+    // ==================== COLLECTIONS ====================
+
     /**
-     * Films Classiques (avant 1990, bien notés, sans animation)
+     * Films sortis d'une collection TMDB (saga), dans l'ordre de sortie
+     *
+     * Les films annoncés (sans date ou pas encore sortis) sont écartés.
+     *
+     * @param {number} collectionId - ID de collection TMDB
+     * @returns {Promise<{id: number, name: string, parts: Object[]}>} parts : films TMDB bruts
      */
-    async getClassicMovies(page = 1) {
-        return cached(`classic_movies_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                'release_date.lte': '1989-12-31',
-                without_genres: 16, // Exclure animation
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 200
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async getCollection(collectionId) {
+        return this._cached(`collection_${collectionId}`, async () => {
+            const data = await this._fetch(`/collection/${collectionId}`);
+            const today = new Date().toISOString().substring(0, 10);
+
+            return {
+                id: data.id,
+                name: data.name,
+                parts: (data.parts || [])
+                    .filter(part => part.release_date && part.release_date <= today)
+                    .sort((a, b) => a.release_date.localeCompare(b.release_date))
+            };
+        }, DETAILS_TTL);
     }
 
-    // ==================== THÉMATIQUES (KEYWORDS) ====================
-
     /**
-     * Films par mot-clé/thématique
+     * Films de plusieurs collections, collection par collection dans l'ordre de sortie
      *
-     * @param {number} keywordId - ID du keyword TMDB
+     * @param {number[]} collectionIds - IDs de collection TMDB (ordre d'affichage)
+     * @param {number} page - Page de LOCAL_PAGE_SIZE films
+     * @returns {Promise<Object[]>} Metas Stremio
+     * @private
      */
-    async getMoviesByKeyword(keywordId, page = 1) {
-        return cached(`movies_keyword_${keywordId}_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_keywords: keywordId,
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async _expandCollections(collectionIds, page) {
+        const collections = await Promise.all(collectionIds.map(id => this.getCollection(id).catch(error => {
+            // Collection supprimée de TMDB : ignorée ; les autres erreurs font échouer la page
+            if (error instanceof TMDBNotFoundError) return { parts: [] };
+            throw error;
+        })));
+
+        const seen = new Set();
+        const parts = collections
+            .flatMap(collection => collection.parts)
+            .filter(part => !seen.has(part.id) && seen.add(part.id));
+
+        return this._formatMovies(parts.slice((page - 1) * LOCAL_PAGE_SIZE, page * LOCAL_PAGE_SIZE));
     }
 
     /**
-     * Films de Noël
+     * Sagas choisies, chacune dans l'ordre de sortie
+     *
+     * @param {number[]} collectionIds - IDs de collection TMDB
+     * @param {number} page - Page de LOCAL_PAGE_SIZE films
+     * @returns {Promise<Object[]>} Metas Stremio
      */
-    async getChristmasMovies(page = 1) {
-        // Keywords: christmas (207317), christmas eve (13082)
-        return cached(`christmas_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_keywords: '207317|13082',
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async getCollections(collectionIds, page = 1) {
+        return this._cached(`collections_${collectionIds.join(',')}_${page}`,
+            () => this._expandCollections(collectionIds, page));
     }
 
     /**
-     * Films d'Halloween / Horreur
+     * Recherche de collections TMDB par nom (sagas)
+     *
+     * @param {string} name - Nom de saga (ex: Ip Man)
+     * @returns {Promise<{id: number, name: string}[]>} Par pertinence TMDB
      */
-    async getHalloweenMovies(page = 1) {
-        // Keywords: halloween (4565)
-        return cached(`halloween_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_keywords: '4565',
-                with_genres: 27, // Horror
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+    async findCollections(name) {
+        return this._cached(`find_collections_${normalizeText(name)}`, async () => {
+            const data = await this._fetch('/search/collection', { query: name.trim(), include_adult: false });
+            return (data.results || []).map(collection => ({ id: collection.id, name: collection.name }));
         });
     }
 
     /**
-     * Films Feel Good
+     * Recherche de sagas : films des collections trouvées, dans l'ordre de sortie
+     *
+     * @param {string} query - Nom de saga
+     * @param {number} page - Page de LOCAL_PAGE_SIZE films
+     * @returns {Promise<Object[]>} Metas Stremio
      */
-    async getFeelGoodMovies(page = 1) {
-        return cached(`feelgood_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_genres: '35,10751', // Comédie, Famille
-                'vote_average.gte': 6.5,
-                sort_by: 'popularity.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+    async searchCollections(query, page = 1) {
+        return this._cached(`search_collections_${normalizeText(query)}_${page}`, async () => {
+            const collections = await this.findCollections(query);
+            return this._expandCollections(collections.slice(0, COLLECTION_SEARCH_LIMIT).map(({ id }) => id), page);
         });
     }
 
     /**
-     * Films Mind-Bending / Plot Twist
+     * Liens vers le film précédent et le suivant d'une saga (liens Stremio)
+     *
+     * @param {number} movieId - ID TMDB du film
+     * @param {{id: number}} collection - Bloc belongs_to_collection TMDB
+     * @returns {Promise<Object[]>} Vide si le film est seul ou hors de la liste des sorties
+     * @private
      */
-    async getMindBendingMovies(page = 1) {
-        // Keywords: twist ending (4344), mind bending (256741)
-        return cached(`mindbending_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_keywords: '4344|256741|310',
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 100
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async _sagaLinks(movieId, collection) {
+        const { name, parts } = await this.getCollection(collection.id);
+        const index = parts.findIndex(part => part.id === movieId);
+        if (index < 0) return [];
+
+        const labels = SAGA_LABELS[this.language.substring(0, 2)] || SAGA_LABELS.fr;
+        const neighbours = [['previous', parts[index - 1]], ['next', parts[index + 1]]].filter(([, part]) => part);
+        const imdbIds = await this._resolveImdbIds('movie', neighbours.map(([, part]) => part.id));
+
+        return neighbours
+            .filter(([, part]) => imdbIds.get(part.id))
+            .map(([position, part]) => ({
+                name: `${labels[position]} : ${part.title} (${part.release_date.substring(0, 4)})`,
+                category: `${name} (${index + 1}/${parts.length})`,
+                url: `stremio:///detail/movie/${imdbIds.get(part.id)}`
+            }));
     }
 
+    // ==================== DÉTAILS ====================
+
     /**
-     * Films Cultes
+     * Résout un ID IMDb en ID TMDB
+     *
+     * Un ID sans équivalent du type demandé est mémorisé NO_IMDB_TTL
+     * (les favoris mélangent films et séries).
+     *
+     * @param {string} imdbId - ID IMDb (tt...)
+     * @param {string} type - movie ou series
+     * @returns {Promise<number|null>} ID TMDB ou null
      */
-    async getCultMovies(page = 1) {
-        // Keyword: cult film (818)
-        return cached(`cult_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_keywords: '818',
-                sort_by: 'vote_count.desc'
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    async findTmdbId(imdbId, type) {
+        const key = `find_${type}_${imdbId}`;
+        const known = this.idStore.get(key);
+        if (known) {
+            return known.value;
+        }
+        if (this.cache.get(`no_${key}`)) {
+            return null;
+        }
+
+        const data = await this._fetch(`/find/${imdbId}`, { external_source: 'imdb_id' });
+        const match = type === 'movie' ? data.movie_results?.[0] : data.tv_results?.[0];
+        if (match) {
+            this.idStore.set(key, match.id);
+        } else {
+            this.cache.set(`no_${key}`, true, NO_IMDB_TTL);
+        }
+        return match?.id || null;
     }
 
     /**
-     * Films pour la famille
+     * Langues des bandes-annonces et images demandées à TMDB (langue du client, anglais, sans texte)
+     *
+     * @returns {string} Codes ISO 639-1 séparés par des virgules
+     * @private
      */
-    async getFamilyMovies(page = 1) {
-        return cached(`family_${page}`, async () => {
-            const data = await this._fetch('/discover/movie', {
-                page,
-                with_genres: 10751, // Family
-                sort_by: 'popularity.desc',
-                'vote_average.gte': 6
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
+    _mediaLanguages() {
+        return [...new Set([this.language.substring(0, 2), 'en', 'null'])].join(',');
     }
 
-    // ==================== RÉCOMPENSES ====================
-
     /**
-     * Gagnants des Oscars (via collection/liste)
-     * Note: TMDB n'a pas d'endpoint direct, on utilise une liste populaire
+     * Formate les bandes-annonces YouTube pour Stremio
+     *
+     * @param {Object} videos - Bloc videos TMDB
+     * @returns {{trailers: Object[], trailerStreams: Object[]}}
+     * @private
      */
-    async getOscarWinners(page = 1) {
-        return cached(`oscars_${page}`, async () => {
-            // On utilise discover avec des films très bien notés et populaires
-            const data = await this._fetch('/discover/movie', {
-                page,
-                sort_by: 'vote_average.desc',
-                'vote_count.gte': 5000,
-                'vote_average.gte': 8
-            });
-            const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
-        });
-    }
+    _formatTrailers(videos) {
+        const language = this.language.substring(0, 2);
+        const trailers = (videos?.results || [])
+            .filter(v => v.site === 'YouTube' && (v.type === 'Trailer' || v.type === 'Teaser'))
+            .sort((a, b) => (b.iso_639_1 === language) - (a.iso_639_1 === language));
 
-    // ==================== RECHERCHE ====================
+        return {
+            trailers: trailers.map(v => ({ source: v.key, type: 'Trailer' })),
+            trailerStreams: trailers.map(v => ({ title: v.name, ytId: v.key }))
+        };
+    }
 
     /**
-     * Recherche de films
+     * Choisit les visuels d'une fiche (bloc images TMDB)
+     *
+     * Affiche et logo dans la langue du client s'ils existent, sinon en anglais ;
+     * fond sans texte de préférence.
+     *
+     * @param {Object} data - Détails TMDB (avec append_to_response images)
+     * @returns {{poster: string|null, background: string|null, logo: string|null}} Chemins TMDB
+     * @private
      */
-    async searchMovies(query, page = 1) {
-        const data = await this._fetch('/search/movie', { query, page });
-        const results = await Promise.all(data.results.map(m => this._formatMovie(m)));
-            return results.filter(Boolean);
+    _pickImages(data) {
+        const language = this.language.substring(0, 2);
+        const pick = (images = [], languages) => languages
+            .map(lang => images.find(image => image.iso_639_1 === lang))
+            .find(Boolean)?.file_path || null;
+
+        return {
+            poster: pick(data.images?.posters, [language]) || data.poster_path || null,
+            background: pick(data.images?.backdrops, [null]) || data.backdrop_path || null,
+            logo: pick(data.images?.logos, [language, 'en', null])
+        };
     }
 
     /**
-     * Recherche de séries
+     * Liste complète des épisodes d'une série (toutes saisons)
+     *
+     * @param {number} seriesId - ID TMDB
+     * @param {string} imdbId - ID IMDb (préfixe des IDs d'épisodes)
+     * @param {Object[]} seasons - Saisons TMDB (bloc seasons des détails)
+     * @returns {Promise<Object[]>} Vidéos Stremio
+     * @private
      */
-    async searchSeries(query, page = 1) {
-        const data = await this._fetch('/search/tv', { query, page });
-        const results = await Promise.all(data.results.map(s => this._formatSeries(s)));
-            return results.filter(Boolean);
-    }
+    async _getEpisodes(seriesId, imdbId, seasons) {
+        const numbers = seasons.map(s => s.season_number);
+        const chunks = [];
+        for (let i = 0; i < numbers.length; i += SEASONS_PER_REQUEST) {
+            chunks.push(numbers.slice(i, i + SEASONS_PER_REQUEST));
+        }
 
-    // ==================== DÉTAILS ====================
+        const responses = await Promise.all(chunks.map(chunk =>
+            this._fetch(`/tv/${seriesId}`, {
+                append_to_response: chunk.map(n => `season/${n}`).join(',')
+            })
+        ));
+
+        return responses
+            .flatMap(data => chunks.flat().map(n => data[`season/${n}`]).filter(Boolean))
+            .flatMap(season => season.episodes || [])
+            .map(episode => ({
+                id: `${imdbId}:${episode.season_number}:${episode.episode_number}`,
+                title: episode.name || `Épisode ${episode.episode_number}`,
+                season: episode.season_number,
+                episode: episode.episode_number,
+                released: episode.air_date ? new Date(episode.air_date).toISOString() : undefined,
+                overview: episode.overview,
+                thumbnail: episode.still_path ? `${TMDB_IMAGE_URL}/w300${episode.still_path}` : undefined
+            }));
+    }
 
     /**
      * Détails d'un film
+     *
+     * @param {number} movieId - ID TMDB
+     * @returns {Promise<Object|null>} Meta Stremio complète
      */
     async getMovieDetails(movieId) {
-        return cached(`movie_details_${movieId}`, async () => {
+        return this._cached(`movie_details_${movieId}`, async () => {
             const data = await this._fetch(`/movie/${movieId}`, {
-                append_to_response: 'credits,external_ids'
+                append_to_response: 'credits,external_ids,videos,images',
+                include_video_language: this._mediaLanguages(),
+                include_image_language: this._mediaLanguages()
             });
 
-            const meta = this._formatMovie(data);
+            // L'ID IMDb est déjà dans la réponse : pas besoin d'appeler /external_ids
+            const imdbId = data.external_ids?.imdb_id || null;
+            if (imdbId) {
+                this.idStore.set(`movie_${movieId}`, imdbId);
+            }
+
+            const meta = this._formatMovie(data, new Map([[data.id, imdbId]]));
             if (!meta) return null;
 
             // Enrichir avec les détails
             meta.genres = data.genres?.map(g => g.name) || [];
             meta.runtime = data.runtime ? `${data.runtime} min` : null;
-            meta.director = data.credits?.crew?.find(c => c.job === 'Director')?.name;
-            meta.cast = data.credits?.cast?.slice(0, 5).map(c => c.name) || [];
-            meta.imdb_id = data.external_ids?.imdb_id;
-
-            // Convertir l'ID pour Stremio si on a l'IMDB ID
-            if (meta.imdb_id) {
-                meta.id = meta.imdb_id;
+            meta.released = data.release_date ? new Date(data.release_date).toISOString() : undefined;
+            meta.director = data.credits?.crew?.filter(c => c.job === 'Director').map(c => c.name) || [];
+            meta.cast = data.credits?.cast?.slice(0, 10).map(c => c.name) || [];
+            Object.assign(meta, this._formatTrailers(data.videos));
+            meta.tmdbImages = this._pickImages(data);
+
+            // Film d'une saga : liens vers le précédent et le suivant (ordre de sortie)
+            if (data.belongs_to_collection) {
+                try {
+                    meta.links = await this._sagaLinks(data.id, data.belongs_to_collection);
+                } catch (error) {
+                    log.warn(`Saga indisponible pour ${meta.id}: ${error.message}`);
+                }
             }
 
             return meta;
-        });
+        }, DETAILS_TTL);
     }
 
     /**
-     * Détails d'une série
+     * Détails d'une série (avec saisons et épisodes)
+     *
+     * @param {number} seriesId - ID TMDB
+     * @returns {Promise<Object|null>} Meta Stremio complète
      */
     async getSeriesDetails(seriesId) {
-        return cached(`series_details_${seriesId}`, async () => {
+        return this._cached(`series_details_${seriesId}`, async () => {
             const data = await this._fetch(`/tv/${seriesId}`, {
-                append_to_response: 'credits,external_ids'
+                append_to_response: 'credits,external_ids,videos,images',
+                include_video_language: this._mediaLanguages(),
+                include_image_language: this._mediaLanguages()
             });
 
-            const meta = this._formatSeries(data);
+            // L'ID IMDb est déjà dans la réponse : pas besoin d'appeler /external_ids
+            const imdbId = data.external_ids?.imdb_id || null;
+            if (imdbId) {
+                this.idStore.set(`series_${seriesId}`, imdbId);
+            }
+
+            const meta = this._formatSeries(data, new Map([[data.id, imdbId]]));
             if (!meta) return null;
 
             // Enrichir avec les détails
+            const endYear = data.in_production ? '' : data.last_air_date?.substring(0, 4) || '';
             meta.genres = data.genres?.map(g => g.name) || [];
             meta.runtime = data.episode_run_time?.[0] ? `${data.episode_run_time[0]} min/ep` : null;
-            meta.cast = data.credits?.cast?.slice(0, 5).map(c => c.name) || [];
-            meta.imdb_id = data.external_ids?.imdb_id;
-
-            // Convertir l'ID pour Stremio si on a l'IMDB ID
-            if (meta.imdb_id) {
-                meta.id = meta.imdb_id;
-            }
+            meta.released = data.first_air_date ? new Date(data.first_air_date).toISOString() : undefined;
+            meta.releaseInfo = meta.releaseInfo ? `${meta.releaseInfo}-${endYear}` : undefined;
+            meta.director = data.created_by?.map(c => c.name) || [];
+            meta.cast = data.credits?.cast?.slice(0, 10).map(c => c.name) || [];
+            Object.assign(meta, this._formatTrailers(data.videos));
+            meta.tmdbImages = this._pickImages(data);
+            meta.videos = await this._getEpisodes(seriesId, meta.id, data.seasons || []);
 
             return meta;
-        });
+        }, DETAILS_TTL);
     }
 }
 
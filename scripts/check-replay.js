@@ -0,0 +1,107 @@
+/**
+ * Vérification de bout en bout en rejeu
+ *
+ * @description Démarre l'addon sans réseau sur les fixtures du dépôt (TMDB_FIXTURES=replay)
+ * puis vérifie une réponse de catalogue et une réponse de fiche :
+ * npm run check-replay
+ * Code de sortie non nul en cas d'échec (utilisable en CI).
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger('CheckReplay');
+
+const PORT = process.env.CHECK_PORT || 7003;
+const BASE_URL = `http://localhost:${PORT}`;
+const FIXTURES_DIR = process.env.TMDB_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+// Attente du démarrage (chargement des genres inclus)
+const STARTUP_TIMEOUT = 15000;
+const POLL_INTERVAL = 250;
+
+// Réponses attendues des fixtures
+const CATALOG_PATH = '/catalog/movie/cataloog-bp-top-movies.json';
+const CATALOG_IDS = ['tt0111161', 'tt0068646', 'tt0071562'];
+const CATALOG_AVAILABILITY = 'Disponible sur : Netflix';
+const META_PATH = '/meta/movie/tt0111161.json';
+const META_NAME = 'Les Évadés';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitUntilReady(server) {
+    const deadline = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < deadline) {
+        if (server.exitCode !== null) {
+            throw new Error(`Addon arrêté au démarrage (code ${server.exitCode})`);
+        }
+        try {
+            const response = await fetch(`${BASE_URL}/ready`);
+            if (response.ok) return;
+        } catch (error) {
+            // Serveur pas encore à l'écoute
+        }
+        await sleep(POLL_INTERVAL);
+    }
+    throw new Error(`Addon non prêt après ${STARTUP_TIMEOUT / 1000} s`);
+}
+
+async function getJson(route) {
+    const response = await fetch(`${BASE_URL}${route}`);
+    if (!response.ok) {
+        throw new Error(`${route}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+async function checkCatalog() {
+    const { metas } = await getJson(CATALOG_PATH);
+    const ids = (metas || []).map(meta => meta.id);
+    if (ids.join(',') !== CATALOG_IDS.join(',')) {
+        throw new Error(`Catalogue inattendu: [${ids.join(', ')}] au lieu de [${CATALOG_IDS.join(', ')}]`);
+    }
+    if (!metas[0].description?.startsWith(CATALOG_AVAILABILITY)) {
+        throw new Error(`Plateformes absentes du catalogue (${metas[0].id})`);
+    }
+    if (metas.some(meta => 'tmdbId' in meta)) {
+        throw new Error('ID TMDB interne présent dans le catalogue');
+    }
+    log.info(`Catalogue OK (${ids.length} titres)`);
+}
+
+async function checkMeta() {
+    const { meta } = await getJson(META_PATH);
+    if (!meta || meta.name !== META_NAME) {
+        throw new Error(`Fiche inattendue: ${meta ? meta.name : 'absente'}`);
+    }
+    log.info(`Fiche OK (${meta.name})`);
+}
+
+async function main() {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: {
+            ...process.env,
+            PORT,
+            TMDB_FIXTURES: 'replay',
+            TMDB_FIXTURES_DIR: FIXTURES_DIR,
+            CACHE_BACKEND: 'memory',
+            LOG_LEVEL: process.env.LOG_LEVEL || 'warn'
+        },
+        stdio: ['ignore', 'inherit', 'inherit']
+    });
+
+    try {
+        await waitUntilReady(server);
+        await checkCatalog();
+        await checkMeta();
+    } finally {
+        server.kill();
+    }
+}
+
+main().catch(error => {
+    log.error(`Vérification échouée: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Recherche de collections TMDB (sagas)
+ *
+ * @description Affiche les IDs TMDB correspondant à un nom de saga, avec ses films
+ * dans l'ordre de sortie, pour écrire les catalogues de sagas de catalogs.yaml
+ * (endpoint collections) :
+ * TMDB_API_KEY=xxx npm run find-collection -- "Le Parrain"
+ */
+
+const TMDBClient = require('../lib/tmdb');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger('FindCollection');
+
+// Collections détaillées (films listés)
+const DETAILED_COUNT = 5;
+
+async function main() {
+    const name = process.argv.slice(2).join(' ').trim();
+    if (!name) {
+        log.error('Usage: npm run find-collection -- "nom de la saga"');
+        process.exit(1);
+    }
+    if (!process.env.TMDB_API_KEY) {
+        log.error('TMDB_API_KEY manquante');
+        process.exit(1);
+    }
+
+    const tmdb = new TMDBClient(process.env.TMDB_API_KEY, 'fr-FR', {
+        baseUrl: process.env.TMDB_BASE_URL || undefined
+    });
+
+    const collections = await tmdb.findCollections(name);
+    if (!collections.length) {
+        log.info(`Aucune saga trouvée pour "${name}"`);
+        return;
+    }
+
+    for (const collection of collections.slice(0, DETAILED_COUNT)) {
+        const { parts } = await tmdb.getCollection(collection.id);
+        const films = parts.map(part => `${part.title} (${part.release_date.substring(0, 4)})`).join(', ');
+        console.log(`${String(collection.id).padStart(8)}  ${collection.name}${films ? ` - ${films}` : ''}`);
+    }
+    console.log(`\nDans catalogs.yaml : endpoint: collections, collections: [${collections[0].id}]`);
+}
+
+main().catch(error => {
+    log.error(`Recherche échouée: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,48 @@
+/**
+ * Recherche de personnes TMDB
+ *
+ * @description Affiche les IDs TMDB correspondant à un nom, pour écrire les
+ * catalogues de personne de catalogs.yaml (endpoint person) :
+ * TMDB_API_KEY=xxx npm run find-person -- "Alfred Hitchcock"
+ */
+
+const TMDBClient = require('../lib/tmdb');
+const { createLogger } = require('../lib/logger');
+
+const log = createLogger('FindPerson');
+
+// Titres connus affichés par personne
+const KNOWN_FOR_COUNT = 3;
+
+async function main() {
+    const name = process.argv.slice(2).join(' ').trim();
+    if (!name) {
+        log.error('Usage: npm run find-person -- "nom de la personne"');
+        process.exit(1);
+    }
+    if (!process.env.TMDB_API_KEY) {
+        log.error('TMDB_API_KEY manquante');
+        process.exit(1);
+    }
+
+    const tmdb = new TMDBClient(process.env.TMDB_API_KEY, 'fr-FR', {
+        baseUrl: process.env.TMDB_BASE_URL || undefined
+    });
+
+    const people = await tmdb.searchPeople(name);
+    if (!people.length) {
+        log.info(`Aucune personne trouvée pour "${name}"`);
+        return;
+    }
+
+    for (const person of people) {
+        const knownFor = person.knownFor.slice(0, KNOWN_FOR_COUNT).join(', ');
+        console.log(`${String(person.id).padStart(8)}  ${person.name} (${person.department || '?'})${knownFor ? ` - ${knownFor}` : ''}`);
+    }
+    console.log(`\nDans catalogs.yaml : endpoint: person, person: { id: ${people[0].id}, role: director, sort: date }`);
+}
+
+main().catch(error => {
+    log.error(`Recherche échouée: ${error.message}`);
+    process.exit(1);
+});
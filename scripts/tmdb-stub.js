@@ -0,0 +1,38 @@
+/**
+ * Serveur TMDB de substitution
+ *
+ * @description Sert les fixtures enregistrées (TMDB_FIXTURES=record) avec les mêmes
+ * routes que l'API TMDB v3, pour lancer l'addon hors ligne :
+ * TMDB_BASE_URL=http://localhost:7002/3 TMDB_API_KEY=stub npm start
+ */
+
+const path = require('path');
+const express = require('express');
+const { FixtureStore } = require('../lib/fixtures');
+const { createLogger } = require('../lib/logger');
+
+const PORT = process.env.TMDB_STUB_PORT || 7002;
+const FIXTURES_DIR = process.env.TMDB_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures');
+
+const log = createLogger('TMDBStub');
+const store = new FixtureStore({ dir: FIXTURES_DIR, mode: 'replay' });
+
+const app = express();
+
+// /3/<endpoint>?<paramètres> (api_key accepté et ignoré)
+app.get('/3/*', (req, res) => {
+    const endpoint = req.path.slice('/3'.length);
+    const fixture = store.read(endpoint, new URL(req.originalUrl, 'http://localhost').searchParams);
+
+    if (!fixture) {
+        res.status(404).json({ success: false, status_code: 34, status_message: 'Fixture absente' });
+        return;
+    }
+
+    log.info(`${fixture.status} ${endpoint}`);
+    res.status(fixture.status).json(fixture.body);
+});
+
+app.listen(PORT, () => {
+    log.info(`TMDB de substitution sur http://localhost:${PORT}/3 (fixtures: ${FIXTURES_DIR})`);
+});